@@ -1,14 +1,13 @@
 import $ from '../utils.js';
-import { Parser } from './Parser.js';
+import { Parser, ParserError, PARSER_ERRORS } from './Parser.js';
+import { Quantity } from './Quantity.js';
 import Library from './Library.js';
 
-const NUM_REGEX = /[^-0-9,e+e-]|-$|\+$/g;
-
 /**
  * @file Calculator.js
  * @module Calculator
  * @extends Library
- * @version 2.2.0
+ * @version 2.16.0
  * @author Jens-Olaf-Mueller
  *
  * Calculator - A self-contained, UI-integrated calculator widget.
@@ -18,9 +17,43 @@ const NUM_REGEX = /[^-0-9,e+e-]|-$|\+$/g;
  * - Key Features:
  * - Buddy System: Seamlessly connects to HTML input elements for data exchange.
  * - Auto-Scanning: Detects DOM elements with `data-calculator="true"` for automatic icon injection.
+ * - Buddy Options: `data-calc-decimals`, `data-calc-group-digits`, `data-calc-locale`, `data-calc-layout`,
+ *   `data-calc-min` and `data-calc-max` on the buddy apply while the calculator is open for it;
+ *   results out of range are not written back ("↵" shows a message instead).
+ * - Buddy Expressions: With {@link evaluateExpressions} (or `data-calc-evaluate="true"` on a buddy), typing
+ *   `=120*1.081` into a text buddy evaluates it on blur or Enter without opening the pod. The expression
+ *   is kept in `data-expression` and comes back for editing when the field gets the focus again.
+ *   Invalid expressions stay in the field, which is marked with `aria-invalid` and the error as title.
+ * - Accessibility: The pod is a modal dialog (an application region in inline mode), every symbol key has an
+ *   aria-label, results and errors are announced by a live region, TAB keeps the focus within the open pod
+ *   and {@link hide} returns the focus to the buddy (or the element that had it before).
  * - Math Logic: Sophisticated expression evaluation including unary functions, parentheses, and modulo.
+ * - Inline Mode: `new Calculator(false, null, container)` embeds the calculator permanently in `container`
+ *   (i.e. a dashboard cell) instead of showing it as an overlay pod: it fills the width of the container,
+ *   {@link show} and {@link hide} do nothing, and it handles the keyboard only while it has the focus.
+ *   Any number of inline calculators can live on one page; the history and memory of a container with an id
+ *   are stored separately.
  * - Smart UI: Features a Throttled MutationObserver for dynamic font-size adjustment (overflow prevention).
  * - Persistency: Maintains calculation states and supports repeated "equals" operations.
+ * - Localization: The `locale` property (or the `lang` of the document) drives decimal key, digit grouping and
+ *   number parsing (en, de, de-CH, fr...). Titles, key labels, prompts and error messages are taken from
+ *   {@link MESSAGES} by the language of the locale (de, en, fr, it; English if missing).
+ * - Programmer Layout: `layout = 'programmer'` adds hex digits, bitwise operators (& | ^ ~ << >>) and a panel
+ *   showing the value in HEX/DEC/OCT/BIN simultaneously. Integer math (BigInt) is done by the Parser.
+ * - Scientific Layout: `layout = 'scientific'` (or `data-calculator-layout="scientific"` on the buddy) widens the pod
+ *   by trigonometric (DEG/RAD/GRAD), hyperbolic, logarithmic and power keys, `EE`, `e` and `2nd` for the inverse functions.
+ * - Financial Layout: `layout = 'financial'` adds VAT keys with rate presets ({@link vatRates}), markup and margin,
+ *   percent change, compound interest (FV) and loan payment (PMT). Multi-value functions prompt for their inputs
+ *   in the status bar (confirm each with "=" or "↵"); "↵" on the last input passes the result to the buddy.
+ * - Unit Conversion: A buddy value like `3 ft + 20 cm in m` or `2 h 15 min * 3` is evaluated by the Parser
+ *   when the calculator opens; the display shows the value in the resulting unit.
+ * - Memory Bank: Several named or numbered registers (M1…M4 by default). The memory keys act on the active
+ *   register, a panel (⊞ in the status bar) stores, recalls, adds and clears each register. Kept in localStorage.
+ * - History Tape: Every completed calculation is listed (☰ in the status bar) and kept in localStorage.
+ *   Clicking an entry recalls its result or expression; the tape can be exported as CSV or plain text.
+ * - Expression Editing: The arrow keys (or a click on the display) turn the input line into an editable expression
+ *   with a caret: ← → Home End move it, SHIFT selects, keys insert at the caret or replace the selection,
+ *   ⌫ / DEL delete. A live preview below the input line shows the result of the expression while typing.
  *
  * ---------------------------------------------------------------
  * I. Public Methods
@@ -28,27 +61,82 @@ const NUM_REGEX = /[^-0-9,e+e-]|-$|\+$/g;
  * - {@link show}             - Displays the calculator and optionally assigns a buddy input.
  * - {@link hide}             - Hides the calculator and dispatches the close event.
  * - {@link reset}            - Resets calculation state, displays, and internal memory.
- * - {@link deleteChar}       - Deletes the last character or multi-char operator from the input.
+ * - {@link deleteChar}       - Deletes the last character or multi-char operator (the one before the caret while editing).
  * - {@link updateDisplay}    - Updates the UI with expressions, numeric results, or error messages.
  * - {@link executeMathFunction} - Executes unary operations (sqrt, power, factorial, etc.).
  * - {@link compute}          - Evaluates the current math expression using the internal Parser.
  * - {@link round}            - Performs symmetric rounding using EPSILON for high precision.
  * - {@link format$}          - Localizes number formatting with digit grouping.
  * - {@link isOperator}       - Validates if a string is a recognized math operator.
+ * - {@link recall}           - Recalls the result or expression of a history entry into the display.
+ * - {@link clearHistory}     - Removes all entries from the history tape.
+ * - {@link exportHistory}    - Returns the history tape as CSV or plain text.
+ * - {@link addRegister}      - Adds a (named or numbered) register to the memory bank.
+ * - {@link removeRegister}   - Removes a register from the memory bank.
  *
  * ---------------------------------------------------------------
  * II. Private Methods
  * ---------------------------------------------------------------
- * - #init()            - Singleton initialization of UI, DOM caching, and MutationObserver.
+ * - #init()            - One-time initialization of UI, DOM caching, and MutationObserver (per instance).
+ * - #embed()           - Turns the pod into an always visible, focusable part of its container (inline mode).
+ * - #storageKey()      - Returns the localStorage key of this instance.
  * - #autoScanBuddies()  - Scans the DOM for inputs requiring a calculator connection.
  * - #injectBuddyIcon() - Injects the SVG trigger icon next to connected input fields.
+ * - #listenForExpressions() - Lets a text buddy evaluate typed expressions (=...) on blur and Enter.
+ * - #evaluateBuddy()    - Replaces the expression typed into a buddy with its result (or marks the error).
+ * - #buddyRange()       - Reads the data-calc-min / -max range of a buddy.
+ * - #applyBuddyOptions() - Applies the data-calc-* options of the buddy (and remembers the own settings).
+ * - #restoreOptions()   - Restores the settings that were replaced by buddy options.
+ * - #rangeError()       - Returns the message for a value outside the buddy's min/max range.
  * - #handleButtonClick() - Central event dispatcher for all UI button interactions.
+ * - #trapFocus()        - Keeps the TAB focus within the open pod.
+ * - #describeKeys()     - Sets the aria-labels of the keys (following their current captions).
+ * - #announce()         - Lets screen readers read a result, prompt or error.
+ * - #text()             - Returns a UI text of the current language from {@link MESSAGES}.
+ * - #errorText()        - Returns the message of an error in the current language.
+ * - #localizeUI()       - Applies the texts of the current language to titles and labels.
  * - #adjustDisplay()    - Dynamic font-size reduction logic to prevent display overflow.
+ * - #markError()        - Highlights the offending token of a ParserError in the expression line.
+ * - #toNumber()         - Converts a localized display string into a number.
+ * - #toExpression()     - Converts a number into a localized, ungrouped expression operand.
+ * - #labelSeparatorKey() - Shows the decimal separator of the current locale on its key.
+ * - #applyLayout()      - Shows/hides the programmer panels and disables keys invalid for the layout or base.
+ * - #computeProgrammer() - Evaluates the visible expression with integer arithmetic.
+ * - #toBigInt()         - Reads the last operand of a display string in the current base.
+ * - #toProgrammerExpression() - Prefixes the operands of a display string for the Parser (0x, 0o, 0b).
+ * - #updateRadixPanel() - Shows the current operand in all four bases.
+ * - #handleScientific() - Handles the angle unit, 2nd, EE and the power/root keys of the scientific layout.
+ * - #labelScientificKeys() - Shows the angle unit and the (inverse) function captions on the scientific keys.
+ * - #handleFinancial()  - Handles the VAT keys and starts the guided input of the financial functions.
+ * - #promptGuide()      - Shows the prompt of the next input of a financial function.
+ * - #advanceGuide()     - Takes the current value as input of a financial function and computes it after the last one.
+ * - #labelFinancialKeys() - Shows the current VAT rate on its key.
+ * - #record()           - Adds the completed calculation to the history tape.
+ * - #loadHistory()      - Restores the history tape from localStorage.
+ * - #saveHistory()      - Stores the history tape in localStorage.
+ * - #renderHistory()    - Lists the history entries (newest first).
+ * - #handleHistoryClick() - Dispatches clicks on history entries and the export buttons.
+ * - #downloadHistory()  - Offers the exported history tape as a file download.
+ * - #memoryOperation()  - Stores, recalls, adds, subtracts or clears a memory register.
+ * - #loadMemory()       - Restores the memory bank from localStorage.
+ * - #saveMemory()       - Stores the memory bank in localStorage.
+ * - #renderMemoryBank() - Lists the registers and their values in the memory panel.
+ * - #handleMemoryBankClick() - Dispatches clicks on the memory panel.
+ * - #beginEdit()        - Turns the visible expression into an editable input line with the caret at its end.
+ * - #moveCaret()        - Moves the caret (or extends the selection) by a character, a token or to either end.
+ * - #selectionRange()   - Returns the start and end of the selected text (equal if nothing is selected).
+ * - #tokenLength()      - Returns the length of the (multi-char) token next to the caret.
+ * - #insertAtCaret()    - Inserts a key at the caret or replaces the selection with it.
+ * - #deleteAtCaret()    - Deletes the selection or the token before / after the caret.
+ * - #setEdit()          - Sets the text of the input line while editing and places the caret.
+ * - #renderCaret()      - Shows the caret or the selection in the input line.
+ * - #handleEdit()       - Dispatches a key pressed while the input line is edited.
+ * - #updatePreview()    - Shows the result of the expression on display while it is typed.
  *
  * ---------------------------------------------------------------
  * III. Events
  * ---------------------------------------------------------------
- * @event calculatorclosed {@link CustomEvent} - Fires when the calculator is hidden.
+ * @event calculatorclosed {@link CustomEvent} - Fires when the calculator is hidden (not in inline mode).
  *
 * ---------------------------------------------------------------
  * IV. CSS Variables (Theming API)
@@ -97,16 +185,27 @@ export class Calculator extends Library {
 
         if (this.#buddy) {
             if (!this.created) this.#init();
-            // Upgrade manual buddy to data-calculator status
-            if (this.#buddy.dataset.calculator !== 'true') {
-                this.#buddy.dataset.calculator = 'true';
+            // an inline calculator is the buddy's companion already: no icon (and no overlay) needed
+            if (!this.inline) {
+                // Upgrade manual buddy to data-calculator status
+                if (this.#buddy.dataset.calculator !== 'true') {
+                    this.#buddy.dataset.calculator = 'true';
+                }
+                this.#injectBuddyIcon(this.#buddy);
             }
-            this.#injectBuddyIcon(this.#buddy);
             this.DOM?.divCalculatorPod.setAttribute('data-calcbuddy', true);
         }
     }
+
     get buddy() { return this.#buddy; }
 
+    /**
+     * True if the calculator is embedded in its parent container instead of showing up as an overlay.
+     * Set by passing a container other than `document.body` to the constructor.
+     * @type {boolean}
+     */
+    get inline() { return this.parent instanceof HTMLElement && this.parent !== document.body; }
+
     #displayBuddyIcon = false;
     /**
      * Toggles automatic buddy icon scanning and injection.
@@ -118,11 +217,225 @@ export class Calculator extends Library {
         if (this.#displayBuddyIcon) this.#autoScanBuddies();
     }
 
+    #evaluateExpressions = false;
+    /**
+     * Evaluates expressions typed into (text) buddies, i.e. `=120*1.081`, on blur or Enter.
+     * A buddy overrides it with `data-calc-evaluate="true|false"`.
+     * @type {boolean}
+     */
+    get evaluateExpressions() { return this.#evaluateExpressions; }
+    set evaluateExpressions(flag) { this.#evaluateExpressions = this.toBoolean(flag); }
+
+    // the values written by an evaluated expression (the expression returns on focus as long as they are unchanged)
+    #evaluated = new WeakMap();
+
+    #locale = null;
+    /**
+     * Locale used for the decimal key, digit grouping, reading numbers (i.e. 'en-US', 'de-CH', 'fr-FR')
+     * and the language of the UI texts. Without an own locale, the `lang` of the document is used
+     * ('de-DE' if there is none); setting an empty value returns to it.
+     * @type {string}
+     */
+    get locale() { return this.#locale ?? (document.documentElement.lang || 'de-DE'); }
+    set locale(locale) {
+        this.#locale = locale || null;
+        if (this.parser) this.parser.locale = this.locale;
+        this.#labelSeparatorKey();
+        this.#localizeUI();
+    }
+
+    /** @type {string} Language of the UI texts, i.e. 'de' for 'de-CH' (see {@link MESSAGES}) */
+    get language() { return this.locale.split('-')[0].toLowerCase(); }
+
+    /** @type {string} Decimal separator of the current locale */
+    get decimalSeparator() { return this.parser.decimalSeparator; }
+    /** @type {string} Group (thousands) separator of the current locale */
+    get groupSeparator() { return this.parser.groupSeparator; }
+
+    #layout = 'standard';
+    /**
+     * Key layout of the calculator.
+     * - 'standard'   → floating point calculator
+     * - 'scientific' → floating point calculator with trigonometric, logarithmic and power keys
+     * - 'financial'  → floating point calculator with VAT, margin, interest and loan payment keys
+     * - 'programmer' → integer calculator with hex digits, bitwise operators and HEX/DEC/OCT/BIN panel
+     * @type {'standard'|'scientific'|'financial'|'programmer'}
+     */
+    get layout() { return this.#layout; }
+    set layout(layout) {
+        if (!CALCULATOR_LAYOUTS.includes(layout) || layout === this.#layout) return;
+        this.#layout = layout;
+        if (this.parser) this.parser.arithmetic = (layout === 'programmer') ? 'integer' : 'number';
+        if (this.created) {
+            this.reset();
+            this.#applyLayout();
+        }
+    }
+
+    /**
+     * Angle unit of the trigonometric keys (scientific layout).
+     * @type {'deg'|'rad'|'grad'}
+     */
+    get angleUnit() { return this.parser.angleUnit; }
+    set angleUnit(unit) {
+        this.parser.angleUnit = unit;
+        this.#labelScientificKeys();
+    }
+
+    // true while the "2nd" key is active: the function keys show their inverse functions
+    #inverse = false;
+
+    /**
+     * VAT rate presets the rate key of the financial layout cycles through (rate in percent).
+     * @type {Array<{label: string, rate: number}>}
+     */
+    vatRates = VAT_PRESETS.map(preset => ({ ...preset }));
+
+    #vatIndex = 0;
+    /**
+     * Current VAT preset. Can be set by preset label ('DE'), by rate (7) or by preset object.
+     * @type {{label: string, rate: number}}
+     */
+    get vatRate() { return this.vatRates[this.#vatIndex] ?? this.vatRates[0]; }
+    set vatRate(preset) {
+        const index = this.vatRates.findIndex(entry =>
+            entry === preset || entry.label === preset || entry.rate === Number(preset));
+        if (index < 0) return;
+        this.#vatIndex = index;
+        this.#labelFinancialKeys();
+    }
+
+    /** @type {number} Decimal places of the financial results (amounts and percentages) */
+    financialDecimals = 2;
+    // guided input of a financial function: { key, inputs, fresh }
+    #guide = null;
+
+    #radix = 10;
+    /**
+     * Input base of the programmer layout (16, 10, 8 or 2).
+     * Switching the base converts the current value (a pending operation is computed first).
+     * @type {16|10|8|2}
+     */
+    get radix() { return this.#radix; }
+    set radix(radix) {
+        radix = Number(radix);
+        if (!(radix in RADIX_PREFIXES) || radix === this.#radix) return;
+        let value = null;
+        if (this.created && this.layout === 'programmer' && !this.error) {
+            value = (this.operationPending && !this.isOperator()) ? this.compute() : this.#toBigInt(this.currOperand);
+        }
+        this.#radix = radix;
+        if (value != null) {
+            this.reset();
+            this.currOperand = this.format$(value);
+            this.calcDone = true;
+        }
+        this.#applyLayout();
+    }
+
+    /**
+     * Register width in bits of the programmer layout (8, 16, 32 or 64).
+     * The current value is wrapped to the new width.
+     * @type {8|16|32|64}
+     */
+    get wordSize() { return this.parser.wordSize; }
+    set wordSize(bits) {
+        this.parser.wordSize = bits;
+        if (this.created && this.layout === 'programmer' && !this.error) {
+            this.currOperand = this.format$(BigInt.asIntN(this.parser.wordSize, this.#toBigInt(this.currOperand)));
+            this.calcDone = true;
+        }
+        this.#applyLayout();
+    }
+
+    // own settings replaced by the options of the current buddy (restored on hide)
+    #savedOptions = null;
+    // allowed range of the value written back to the current buddy (null = unbounded)
+    #range = { min: null, max: null };
+
 	#displayWidth;
+
+    // the element that had the focus before the calculator has been shown
+    #opener = null;
     /** @type {number} The available width of the display input */
 	get displayWidth() { return this.#displayWidth; }
 
-	memory = 0;
+    #history = [];
+    /**
+     * Completed calculations, oldest first (a copy).
+     * Each entry holds `expression` and `result` as displayed, the plain `value`,
+     * the `layout` and `radix` it was computed in and its ISO `date`.
+     * @type {Array<{expression: string, result: string, value: string, layout: string, radix: number, date: string}>}
+     */
+    get history() { return [...this.#history]; }
+
+    #showHistory = false;
+    /**
+     * Shows or hides the history tape below the display.
+     * @type {boolean}
+     */
+    get showHistory() { return this.#showHistory; }
+    set showHistory(flag) {
+        this.#showHistory = this.toBoolean(flag);
+        if (!this.created) return;
+        this.DOM.divHistory.hidden = !this.#showHistory;
+        this.DOM.btnHistoryToggle.setAttribute('aria-expanded', String(this.#showHistory));
+    }
+
+    /** @type {number} Maximum number of entries kept on the history tape */
+    historySize = 100;
+    // true while a recalled expression is on display (it is evaluated as a whole on "=")
+    #recalled = false;
+
+    /** @type {number|null} Caret position within the input line (null = not editing, keys append) */
+    #caret = null;
+    /** @type {number|null} Start of the selection (null = nothing selected) */
+    #anchor = null;
+
+    #registers = { M1: 0, M2: 0, M3: 0, M4: 0 };
+    /**
+     * Memory bank: register name → value (a copy).
+     * @type {Object<string, number>}
+     */
+    get registers() { return { ...this.#registers }; }
+
+    #activeRegister = 'M1';
+    /**
+     * Name of the register the memory keys (MC, MR, MS, M+, M-) act on.
+     * @type {string}
+     */
+    get activeRegister() { return this.#activeRegister; }
+    set activeRegister(name) {
+        if (!Object.hasOwn(this.#registers, name)) return;
+        this.#activeRegister = name;
+        this.#saveMemory();
+        this.#renderMemoryBank();
+    }
+
+    /**
+     * Value of the active register.
+     * @type {number}
+     */
+    get memory() { return this.#registers[this.activeRegister] ?? 0; }
+    set memory(value) {
+        this.#registers[this.activeRegister] = Number(value) || 0;
+        this.#saveMemory();
+        this.#renderMemoryBank();
+    }
+
+    #showMemoryBank = false;
+    /**
+     * Shows or hides the memory panel below the display.
+     * @type {boolean}
+     */
+    get showMemoryBank() { return this.#showMemoryBank; }
+    set showMemoryBank(flag) {
+        this.#showMemoryBank = this.toBoolean(flag);
+        if (!this.created) return;
+        this.DOM.divMemoryBank.hidden = !this.#showMemoryBank;
+        this.DOM.btnMemoryToggle.setAttribute('aria-expanded', String(this.#showMemoryBank));
+    }
+
 	groupDigits = true;
 	decimals = 10;
 	error = false;
@@ -153,24 +466,33 @@ export class Calculator extends Library {
 	get prevOperand() { return this.#getText('divPrevOperand'); }
 	set prevOperand(v = '') { this.#setText('divPrevOperand', v); }
 
-    /** @type {string} Current operand display value */
+    /** @type {string} Current operand display value (setting it ends the expression editing) */
 	get currOperand() { return this.#getText('divInput'); }
-	set currOperand(v = '0') { this.#setText('divInput', v); }
+	set currOperand(v = '0') {
+        this.#caret = this.#anchor = null;
+        this.#setText('divInput', v);
+    }
 
     /** @type {string} Memory indicator state */
 	get memDisplay() { return this.#getText('divMemory'); }
 	set memDisplay(v) { this.#setText('divMemory', v); }
 
     /** @type {number} Numeric representation of current operand */
-	get currValue() { return Number(this.currOperand.replace(NUM_REGEX, '').replace(/,/g, '.')); }
+	get currValue() {
+        return (this.layout === 'programmer') ? Number(this.#toBigInt(this.currOperand)) : this.#toNumber(this.currOperand);
+    }
     /** @type {number} Numeric representation of previous operand */
-	get prevValue() { return Number(this.prevOperand.replace(NUM_REGEX, '').replace(/,/g, '.')); }
+	get prevValue() { return this.#toNumber(this.prevOperand); }
 
     /** @type {boolean} True if an open bracket is present in current operand */
 	get termIsOpen() { return this.currOperand.includes(BRACKET_OPEN); }
-    /** @type {boolean} True if the currently pressed button is a digit or PI */
+    /** @type {boolean} True if the currently pressed button is a digit or PI (a digit of the current base in programmer layout) */
 	get isNumeric() {
-        return typeof this.currentButton === 'string' && (!isNaN(this.currentButton) || this.currentButton === 'π');
+        if (typeof this.currentButton !== 'string') return false;
+        if (this.layout === 'programmer') {
+            return /^[0-9A-F]$/.test(this.currentButton) && parseInt(this.currentButton, 16) < this.radix;
+        }
+        return !isNaN(this.currentButton) || Object.hasOwn(MATH_CONSTANTS, this.currentButton);
     }
     /** @type {boolean} True if the current button is a bracket */
 	get isBracket() { return '()'.includes(this.currentButton); }
@@ -182,12 +504,13 @@ export class Calculator extends Library {
      * @constructor
      * @param {boolean} [autostart=false] - If true, show the calculator immediately.
      * @param {HTMLElement|string|null} [buddy=null] - Initial input element to connect.
-     * @param {HTMLElement} [parent=document.body] - Container for the UI.
+     * @param {HTMLElement|string} [parent=document.body] - Container for the UI.
+     * Any other element than `document.body` embeds the calculator inline (see {@link inline}).
      */
 	constructor(autostart = false, buddy = null, parent = document.body) {
 		super(parent);
         /** @type {Parser} — embedded math parser component */
-	    this.parser = new Parser({ precision: this.decimals });
+	    this.parser = new Parser({ precision: this.decimals, locale: this.locale, percentMode: 'percent', angleUnit: 'deg' });
         if (buddy !== null) this.buddy = buddy;
         this.#init();
 		if (autostart) this.show();
@@ -196,19 +519,32 @@ export class Calculator extends Library {
 	/**
 	 * Initializes calculator UI, caches DOM, starts observer.
 	 * Called internally on creation or buddy assignment.
-     * Initializes calculator UI exactly once.
+     * Initializes calculator UI exactly once per instance.
      * @private
 	 */
     #init() {
-        if (this.created) return; // guard for singleton
+        if (this.created) return; // guard for repeated calls
 
-        this.renderUI(document.body, true);
+        this.renderUI(this.inline ? this.parent : document.body, true);
+        this.#labelSeparatorKey();
+        this.#localizeUI();
+        this.#applyLayout();
         this.DOM.divCalculatorPod.addEventListener('click', (e) => this.#handleButtonClick(e));
+        this.showHistory = this.#showHistory;
+        this.showMemoryBank = this.#showMemoryBank;
+        this.#loadHistory();
+        this.#renderHistory();
+        this.#loadMemory();
+        this.#renderMemoryBank();
         this.reset();
         let timeout;
         this.#observer = new MutationObserver(() => {
             clearTimeout(timeout);
-            timeout = setTimeout(() => this.#adjustDisplay(), 25);
+            timeout = setTimeout(() => {
+                this.#adjustDisplay();
+                this.#updateRadixPanel();
+                this.#updatePreview();
+            }, 25);
         });
 
         this.#observer.observe(this.DOM.divInput, {
@@ -219,7 +555,44 @@ export class Calculator extends Library {
 
         const fs = this.getStyle(this.DOM.divInput, 'font-size');
         this.DEF_FONTSIZE = fs ? fs.replace(/\D/g, '') : 36;
-        this.#autoScanBuddies();
+        // buddies are served by the overlay calculator
+        if (this.inline) this.#embed();
+        else this.#autoScanBuddies();
+    }
+
+    /**
+     * Embeds the pod into its container: it is made visible for good, follows the width of the container
+     * and listens to the keyboard only while the focus is within the pod.
+     * @private
+     */
+    #embed() {
+        const pod = this.DOM.divCalculatorPod;
+        Object.assign(pod.style, INLINE_STYLE);
+        pod.classList.add('calc-inline');
+        pod.setAttribute('role', 'application'); // part of the page, not a modal dialog
+        pod.removeAttribute('aria-modal');
+        pod.tabIndex = 0; // a click anywhere in the pod focuses it (and routes the keyboard here)
+        this.visible = true; // show() does nothing in inline mode, the hidden attribute is removed anyway
+        this._onKeyDown = this.#handleKeyboard.bind(this);
+        pod.addEventListener('keydown', this._onKeyDown);
+        // the display width follows the container
+        const measure = () => {
+            this.#displayWidth = this.DOM.divInput.clientWidth;
+            this.#adjustDisplay();
+        };
+        if (typeof ResizeObserver === 'function') new ResizeObserver(measure).observe(pod);
+        measure();
+    }
+
+    /**
+     * Returns the localStorage key for this instance. Inline calculators in a container
+     * with an id keep their own data (i.e. "CalculatorHistory:divDashboard").
+     * @param {string} name - Base key.
+     * @returns {string}
+     * @private
+     */
+    #storageKey(name) {
+        return (this.inline && this.parent.id) ? `${name}:${this.parent.id}` : name;
     }
 
     /**
@@ -246,6 +619,7 @@ export class Calculator extends Library {
             classList: 'svg-icon calc-buddy-icon',
             style: { cursor: 'pointer', color: 'var(--calc-icon-color, inherit)' },
             innerHTML: ASSETS.icon,
+            title: this.#text('ui', 'icon'),
             onclick: () => {
                 if (this.visible || disabled) return;
                 this.buddy = input;
@@ -254,6 +628,81 @@ export class Calculator extends Library {
         });
         spanIcon.toggleAttribute('disabled', disabled);
         input.after(spanIcon);
+        this.#listenForExpressions(input);
+    }
+
+    /**
+     * Lets a text buddy evaluate expressions typed with a leading "=" (see {@link evaluateExpressions}).
+     * Number inputs cannot hold an expression and are left alone.
+     * @param {HTMLInputElement} input - The buddy.
+     * @private
+     */
+    #listenForExpressions(input) {
+        if (input.type !== 'text') return;
+        const enabled = () => {
+            const flag = input.dataset.calcEvaluate;
+            return (flag === undefined) ? this.evaluateExpressions : this.toBoolean(flag);
+        };
+        input.addEventListener('focus', () => {
+            // re-edit the expression as long as its result has not been changed
+            const expression = input.dataset.expression;
+            if (enabled() && expression && input.value === this.#evaluated.get(input)) input.value = `=${expression}`;
+        });
+        input.addEventListener('blur', () => { if (enabled()) this.#evaluateBuddy(input); });
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !enabled() || !input.value.trim().startsWith('=')) return;
+            e.preventDefault(); // no form submit
+            this.#evaluateBuddy(input);
+        });
+        input.addEventListener('input', () => {
+            input.removeAttribute('aria-invalid');
+            input.classList.remove('calc-expression-error');
+        });
+    }
+
+    /**
+     * Evaluates the expression typed into a buddy ("=" + expression) with the buddy's
+     * data-calc-locale, -decimals, -min and -max options and writes the result back.
+     * An invalid expression stays in the field, which is marked as invalid.
+     * @param {HTMLInputElement} input - The buddy.
+     * @private
+     */
+    #evaluateBuddy(input) {
+        const text = input.value.trim();
+        if (!text.startsWith('=')) {
+            // the result has been overwritten: forget the expression
+            if (text !== this.#evaluated.get(input)) delete input.dataset.expression;
+            return;
+        }
+        const expression = text.slice(1).trim();
+        const data = input.dataset;
+        const locale = this.parser.locale;
+        if (data.calcLocale) this.parser.locale = data.calcLocale;
+        let value = this.parser.parse(expression);
+        if (value instanceof Quantity) value = value.value;
+        let message = '';
+        if (value instanceof Error) message = this.#errorText(value);
+        else if (typeof value !== 'number' || !isFinite(value)) message = this.#errorText(new Error(ERR_TYPEMISMATCH));
+        else {
+            const decimals = parseInt(data.calcDecimals);
+            value = this.round(value, (decimals >= 0) ? decimals : this.decimals);
+            message = this.#rangeError(value, this.#buddyRange(input));
+        }
+        const result = message ? '' : this.#toExpression(value);
+        this.parser.locale = locale;
+
+        input.classList.toggle('calc-expression-error', Boolean(message));
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
+            input.title = message;
+            return;
+        }
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('title');
+        data.expression = expression;
+        input.value = result;
+        this.#evaluated.set(input, result);
+        input.dispatchEvent(new CustomEvent('input'));
     }
 
     /**
@@ -278,6 +727,16 @@ export class Calculator extends Library {
      * - x²                → AltGr + 2
      * - √                 → AltGr + Q
      *
+     * Expression Editing:
+     * - ← → Home End      → Move the caret (starts editing)
+     * - SHIFT + ← → ...   → Select
+     * - Delete            → Deletes the character after the caret (AC if not editing)
+     *
+     * Programmer Layout:
+     * - 0-9, A-F          → Digits of the current base
+     * - & | ^ ~           → AND, OR, XOR, NOT
+     * - < | >             → Shift left / right
+     *
      * Memory (CTRL + SHIFT):
      * - MC                → C
      * - MR                → R
@@ -289,17 +748,50 @@ export class Calculator extends Library {
      */
     #handleKeyboard(e) {
         if (!this.visible) return;
+        const key = e.key;
+        // the keys belong to the calculator that has the focus (i.e. an inline one)
+        const pod = e.target.closest?.('.calculator-pod');
+        if (pod && pod !== this.DOM.divCalculatorPod) return;
+        if (key === 'Tab') {
+            if (!this.inline) this.#trapFocus(e);
+            return;
+        }
 
         let targetKey = null;
         const code = e.code;
-        const key = e.key;
         const isShift = e.shiftKey;
         const isCtrl = e.ctrlKey || e.metaKey; // Mac-Support
         // AltGr ist technisch oft Ctrl+Alt, oder via getModifierState abfragbar
         const isAltGr = e.getModifierState('AltGraph') || (isCtrl && e.altKey);
 
-        // 1. === MEMORY KEYS (CTRL + SHIFT + Letter) ===
-        if (isCtrl && isShift) {
+        // 0. === PROGRAMMER KEYS (hex digits and bitwise operators) / SCIENTIFIC KEYS (letters) ===
+        const programmerKey = (this.layout === 'programmer' && (!isCtrl || isAltGr))
+            ? (/^[a-f]$/i.test(key) ? key.toUpperCase() : PROGRAMMER_KEYS[key])
+            : undefined;
+        const scientificKey = (this.layout === 'scientific' && !isCtrl) ? SCIENTIFIC_KEYS[key] : undefined;
+        // arrow keys move the caret within the expression (SHIFT selects), DEL deletes the character after it
+        if (CARET_KEYS.includes(key) && !isCtrl) {
+            e.preventDefault();
+            this.#moveCaret(key, isShift);
+            return;
+        }
+        if (key === 'Delete' && this.#caret !== null && !isCtrl) {
+            e.preventDefault();
+            this.#deleteAtCaret(1);
+            return;
+        }
+        if (programmerKey) targetKey = programmerKey;
+        else if (scientificKey) targetKey = scientificKey;
+
+        // 1. === MEMORY KEYS (CTRL + SHIFT + Letter, CTRL + SHIFT + Digit selects a register) ===
+        else if (isCtrl && isShift) {
+            const register = /^Digit[1-9]$/.test(code) ? Object.keys(this.#registers)[code.slice(-1) - 1] : undefined;
+            if (register || code === 'KeyM') {
+                e.preventDefault();
+                if (register) this.activeRegister = register;
+                else this.showMemoryBank = !this.showMemoryBank;
+                return;
+            }
             if (code === 'KeyR') targetKey = 'MR';
             else if (code === 'KeyS') targetKey = 'MS';
             else if (code === 'KeyC') targetKey = 'MC';
@@ -341,7 +833,7 @@ export class Calculator extends Library {
             else if (key === '-') targetKey = '-';
             else if (key === '*') targetKey = '×';
             else if (key === '/') targetKey = '÷';
-            else if (key === ',' || key === '.') targetKey = ',';
+            else if (key === ',' || key === '.') targetKey = this.decimalSeparator;
             else if (/\d/.test(key)) targetKey = key; // Zahlen 0-9
         }
 
@@ -349,8 +841,9 @@ export class Calculator extends Library {
         if (targetKey) {
             // Button im DOM suchen (via TextContent)
             // Wir nutzen Array.from, um .find() nutzen zu können
-            const buttons = Array.from(this.DOM.divCalculatorPod.querySelectorAll('button'));
-            const btn = buttons.find(b => b.textContent === targetKey);
+            const buttons = Array.from(this.DOM.divCalculatorPod.querySelectorAll('button.calc-btn'));
+            // scientific keys are found by their base caption (data-key), the caption changes with 2nd and DEG/RAD/GRAD
+            const btn = buttons.find(b => b.textContent === targetKey || b.dataset.key === targetKey);
 
             if (btn) {
                 e.preventDefault(); // Wichtig: Verhindert z.B. Scrollen bei Space
@@ -363,6 +856,28 @@ export class Calculator extends Library {
         }
     }
 
+    /**
+     * Keeps the focus within the open pod: TAB on the last key continues with the first one and vice versa.
+     * @param {KeyboardEvent} e - The TAB keydown event.
+     * @private
+     */
+    #trapFocus(e) {
+        const pod = this.DOM.divCalculatorPod;
+        const focusable = Array.from(pod.querySelectorAll('button, [tabindex]'))
+            .filter(elmt => !elmt.disabled && !elmt.closest('[hidden]'));
+        if (!focusable.length) return;
+        const first = focusable[0], last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !pod.contains(active);
+        if (e.shiftKey && (active === first || outside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || outside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
     /**
      * Shows the calculator.
      * @param {HTMLElement|string|null} [buddy=null] - Optional connected HTML input element.
@@ -371,29 +886,114 @@ export class Calculator extends Library {
      * - string         → represents the ID of the input element
      */
 	show(buddy = null) {
+        if (this.inline) return; // always visible
 		if (buddy !== null) this.buddy = buddy;
+        this.#applyBuddyOptions();
         this.reset();
         super.visible = true; // better than "this.visible" since it shows intention to set initial state!
 		this.#displayWidth = this.DOM.divInput.clientWidth;
         if (this.buddy) {
-            const value = this.parser.parse(this.buddy.value);
-            this.currOperand = (value instanceof Error) ? 0 : value.toString().replace('.', ',');;
+            // number inputs always use a dot as decimal separator (no locale grouping)
+            const value = (this.buddy.type === 'number')
+                ? Number(this.buddy.value)
+                : this.parser.parse(this.buddy.value);
+            // dates cannot be shown on the display
+            if (value instanceof Error || value instanceof Date || Number.isNaN(value)) this.currOperand = 0;
+            else this.currOperand = this.#toExpression((value instanceof Quantity) ? value.value : value);
         }
         this.#adjustDisplay();
 
         // Keyboard Listener
         if (!this._onKeyDown) this._onKeyDown = this.#handleKeyboard.bind(this);
         document.addEventListener('keydown', this._onKeyDown);
-        $('.all-clear').focus();
+        this.#opener = document.activeElement;
+        this.DOM.divCalculatorPod.querySelector('.all-clear').focus();
         this.log(this);
 	}
 
+    /**
+     * Applies the options of the buddy for as long as the calculator is open for it:
+     * - data-calc-decimals    → {@link decimals}
+     * - data-calc-group-digits → {@link groupDigits}
+     * - data-calc-locale      → {@link locale}
+     * - data-calc-layout      → {@link layout} (`data-calculator-layout` is accepted as well)
+     * - data-calc-min / -max  → range of the value "↵" writes back (numbers with a dot as decimal separator)
+     * @private
+     */
+    #applyBuddyOptions() {
+        this.#restoreOptions();
+        const data = this.buddy?.dataset;
+        if (!data) return;
+        this.#savedOptions = {
+            decimals: this.decimals,
+            groupDigits: this.groupDigits,
+            locale: this.#locale,
+            layout: this.layout
+        };
+        const decimals = parseInt(data.calcDecimals);
+        if (decimals >= 0) this.decimals = decimals;
+        if (data.calcGroupDigits !== undefined) this.groupDigits = this.toBoolean(data.calcGroupDigits);
+        if (data.calcLocale) this.locale = data.calcLocale;
+        const layout = data.calcLayout ?? data.calculatorLayout;
+        if (layout) this.layout = layout;
+        this.#range = this.#buddyRange(this.buddy);
+    }
+
+    /**
+     * Reads the range of the values written back to a buddy (data-calc-min / -max, a dot as decimal separator).
+     * @param {HTMLInputElement} input - The buddy.
+     * @returns {{min: number|null, max: number|null}} null = unbounded.
+     * @private
+     */
+    #buddyRange(input) {
+        const limit = (value) => (value == null || value.trim() === '' || isNaN(value)) ? null : Number(value);
+        return { min: limit(input.dataset.calcMin), max: limit(input.dataset.calcMax) };
+    }
+
+    /**
+     * Restores the settings that were replaced by the options of the last buddy.
+     * @private
+     */
+    #restoreOptions() {
+        this.#range = { min: null, max: null };
+        if (!this.#savedOptions) return;
+        const { decimals, groupDigits, locale, layout } = this.#savedOptions;
+        this.#savedOptions = null;
+        this.decimals = decimals;
+        this.groupDigits = groupDigits;
+        this.locale = locale;
+        this.layout = layout;
+    }
+
+    /**
+     * Checks a value against the min/max range of the current buddy.
+     * @param {number} value - Value to be written back.
+     * @param {{min: number|null, max: number|null}} [range=this.#range] - Allowed range.
+     * @returns {string} The message to display or an empty string if the value is in range.
+     * @private
+     */
+    #rangeError(value, range = this.#range) {
+        const { min, max } = range;
+        if ((min === null || value >= min) && (max === null || value <= max)) return '';
+        const message = this.#errorText(new Error(ERR_RANGE));
+        if (min === null) return `${message}: ≤ ${this.format$(max)}`;
+        if (max === null) return `${message}: ≥ ${this.format$(min)}`;
+        return `${message}: ${this.format$(min)} … ${this.format$(max)}`;
+    }
+
 	/**
      * Hides calculator and dispatches closed event.
+     * Does nothing in {@link inline} mode.
      */
 	hide() {
+        if (this.inline) return;
         this.visible = false;
+        this.#restoreOptions();
         if (this._onKeyDown) document.removeEventListener('keydown', this._onKeyDown);
+        // the focus goes back to where the calculator has been opened from
+        const target = this.buddy ?? this.#opener;
+        this.#opener = null;
+        if (target?.isConnected) target.focus();
 		document.dispatchEvent(new CustomEvent('calculatorclosed'));
 	}
 
@@ -403,7 +1003,7 @@ export class Calculator extends Library {
 	reset() {
 		this.currOperand = '0';
 		this.prevOperand = '';
-		this.memDisplay = (this.memory === 0) ? '' : 'M';
+		this.memDisplay = (this.memory === 0) ? '' : this.activeRegister;
 		this.currentButton = null;
 		this.error = false;
 		this.operationPending = false;
@@ -412,6 +1012,8 @@ export class Calculator extends Library {
         this.lastOperator = null;
         this.lastOperand = null;
         this.lastWasUnary = false;
+        this.#recalled = false;
+        this.#guide = null;
 	}
 
 	/**
@@ -421,6 +1023,10 @@ export class Calculator extends Library {
 	 */
 	deleteChar() {
 		if (!this.currOperand) return;
+		if (this.#caret !== null) {
+			this.#deleteAtCaret(-1);
+			return;
+		}
 
 		const op = this.operationPending;
 		const len = (typeof op === 'string' && op.length > 0) ? -op.length : -1;
@@ -445,12 +1051,32 @@ export class Calculator extends Library {
      * @private
 	 */
 	#handleButtonClick(e) {
-        const btn = e.target.closest('button')?.textContent;
+        if (e.target.closest('#btnHistoryToggle')) { this.showHistory = !this.showHistory; return; }
+        if (this.DOM.divHistory.contains(e.target)) { this.#handleHistoryClick(e); return; }
+        if (e.target.closest('#btnMemoryToggle')) { this.showMemoryBank = !this.showMemoryBank; return; }
+        if (this.DOM.divMemoryBank.contains(e.target)) { this.#handleMemoryBankClick(e); return; }
+        const row = e.target.closest('.radix-row');
+        if (row) { this.radix = row.dataset.radix; return; }
+        if (this.DOM.divInput.contains(e.target)) {
+            if (this.#caret === null) this.#moveCaret('End');
+            return;
+        }
+        let btn = e.target.closest('button')?.textContent;
         if (!btn) return;
+        if (btn === MODULO.trim()) btn = MODULO; // captions are trimmed, the display needs " mod "
 		this.currentButton = btn;
 		if (this.#handleMeta(btn)) return;
 		if (this.error) return;
+		if (this.#handleEdit(btn) || this.error) return;
 		if (this.#handleMemory(btn)) return;
+		if (this.#handleScientific(btn)) return;
+		if (this.#handleFinancial(btn)) return;
+		if (this.#guide) {
+			// inputs of a financial function are plain numbers; the first digit replaces the default value
+			if (!this.isNumeric && btn !== this.decimalSeparator && btn !== '±') return;
+			if (this.#guide.fresh && btn !== '±') this.currOperand = '0';
+			this.#guide.fresh = false;
+		}
 		if (this.#handleNumeric(btn)) return;
 		if (this.#handleOperator(btn)) return;
         if (this.#handleSeparator(btn)) return;
@@ -465,12 +1091,39 @@ export class Calculator extends Library {
      */
 	#handleMeta(btn) {
 		if (btn === 'AC') { this.reset(); return true; }
+        // a financial function collects its inputs with "=" / "↵" (the last "↵" passes the result to the buddy)
+        if (this.#guide && (btn === '=' || btn === '↵')) {
+            if (!this.#advanceGuide() || btn === '=' || this.error) return true;
+        }
 		if (btn === '⌫') { this.deleteChar(); return true; }
-        if (btn === '=') { this.compute(); return true; }
+        if (Object.hasOwn(WORD_SIZES, btn)) {
+            // BYTE → WORD → DWORD → QWORD → BYTE
+            const sizes = Object.values(WORD_SIZES);
+            this.wordSize = sizes[(sizes.indexOf(WORD_SIZES[btn]) + 1) % sizes.length];
+            return true;
+        }
+        if (btn === '=') {
+            if (this.compute() !== undefined) this.#record();
+            return true;
+        }
         if (btn === '↵') {
-            if (!this.lastWasUnary) this.compute(); // safe: computes if needed, ignores repeat if calcDone
+            // safe: computes if needed, ignores repeat if calcDone
+            if (!this.lastWasUnary && this.compute() !== undefined) this.#record();
             if (this.buddy) {
-                this.buddy.value = this.currValue.toString().replace('.', ',');
+                const value = this.round(this.currValue);
+                // out of range: keep the calculator open and show the allowed range in the status bar
+                const message = this.#rangeError(value);
+                if (message) {
+                    this.DOM.divPrevOperand.replaceChildren(this.createElement('mark', {
+                        class: 'calc-error-mark',
+                        text: message
+                    }));
+                    this.#announce(message);
+                    return true;
+                }
+                // number inputs only accept a dot as decimal separator
+                this.buddy.value = (this.buddy.type === 'number') ? String(value) : this.#toExpression(value);
+                delete this.buddy.dataset.expression; // a typed expression has been replaced
                 this.buddy.dispatchEvent(new CustomEvent('input'));
             }
             this.hide();
@@ -479,28 +1132,139 @@ export class Calculator extends Library {
 		return false;
 	}
 
-	/** * Handles memory operations (MC, MR, MS, M+, M-).
+	/** * Handles memory operations (MC, MR, MS, M+, M-) on the active register.
      * @param {string} btn - Button label.
      * @returns {boolean} True if handled.
      * @private
      */
 	#handleMemory(btn) {
-		if (!btn.startsWith('M')) return false;
+		if (!MEMORY_KEYS.includes(btn)) return false;
 		this.currentButton = btn;
-		const op = btn.slice(-1);
 		if (this.error) return true;
-		if (op === 'C') this.memory = 0;
-		if (op === 'R' && this.memory !== 0) {
-			if (this.operationPending) this.prevOperand = this.currOperand;
-			this.currOperand = this.format$(this.memory);
-		}
-		if (op === 'S') this.memory = this.currValue;
-		if (op === '+') this.memory += this.currValue;
-		if (op === '-') this.memory -= this.currValue;
-		this.memDisplay = (this.memory === 0) ? '' : 'M';
+		this.#memoryOperation(btn.slice(-1));
 		return true;
 	}
 
+    /**
+     * Applies a memory operation to a register of the bank.
+     * @param {'C'|'R'|'S'|'+'|'-'} op - Clear, recall, store, add or subtract the current value.
+     * @param {string} [name=this.activeRegister] - Register name.
+     * @private
+     */
+    #memoryOperation(op, name = this.activeRegister) {
+        if (!Object.hasOwn(this.#registers, name)) return;
+        const value = this.#registers[name];
+        if (op === 'C') this.#registers[name] = 0;
+        if (op === 'R' && value !== 0) {
+            if (this.operationPending) this.prevOperand = this.currOperand;
+            this.currOperand = this.format$(value);
+        }
+        if (op === 'S') this.#registers[name] = this.currValue;
+        if (op === '+') this.#registers[name] += this.currValue;
+        if (op === '-') this.#registers[name] -= this.currValue;
+        if (op !== 'R') this.#saveMemory();
+        this.#renderMemoryBank();
+    }
+
+    /**
+     * Adds a register to the memory bank.
+     * @param {string} [name] - Register name; numbered (M5, M6 ...) if omitted.
+     * @returns {string|undefined} The name of the new register or undefined if it already exists.
+     */
+    addRegister(name) {
+        name = String(name ?? `M${Object.keys(this.#registers).length + 1}`).trim();
+        if (!name || Object.hasOwn(this.#registers, name)) return;
+        this.#registers[name] = 0;
+        this.#saveMemory();
+        this.#renderMemoryBank();
+        return name;
+    }
+
+    /**
+     * Removes a register from the memory bank. The last register cannot be removed.
+     * @param {string} name - Register name.
+     * @returns {boolean} True if the register has been removed.
+     */
+    removeRegister(name) {
+        const names = Object.keys(this.#registers);
+        if (!names.includes(name) || names.length === 1) return false;
+        delete this.#registers[name];
+        if (this.#activeRegister === name) this.#activeRegister = Object.keys(this.#registers)[0];
+        this.#saveMemory();
+        this.#renderMemoryBank();
+        return true;
+    }
+
+    /**
+     * Restores the memory bank from localStorage.
+     * @private
+     */
+    #loadMemory() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.#storageKey('CalculatorMemory'))) || {};
+            const registers = Object.entries(data.registers || {}).filter(([, value]) => typeof value === 'number');
+            if (registers.length) this.#registers = Object.fromEntries(registers);
+            if (Object.hasOwn(this.#registers, data.active)) this.#activeRegister = data.active;
+            else this.#activeRegister = Object.keys(this.#registers)[0];
+        } catch { /* ignore */ }
+    }
+
+    /**
+     * Stores the memory bank in localStorage (a storage error only costs the persistence).
+     * @private
+     */
+    #saveMemory() {
+        const data = {
+            registers: this.#registers,
+            active: this.#activeRegister
+        };
+        try {
+            localStorage.setItem(this.#storageKey('CalculatorMemory'), JSON.stringify(data));
+        } catch { /* ignore */ }
+    }
+
+    /**
+     * Lists the registers with their values and keys in the memory panel
+     * and updates the memory indicator of the status bar.
+     * @private
+     */
+    #renderMemoryBank() {
+        if (!this.created) return;
+        const rows = Object.entries(this.#registers).map(([name, value]) => {
+            const row = this.createElement('div', {
+                class: 'memory-register' + (name === this.activeRegister ? ' active' : ''),
+                'data-register': name
+            });
+            row.append(
+                this.createElement('span', { class: 'memory-name', text: name }),
+                this.createElement('span', { class: 'memory-value', text: this.format$(value) }),
+                ...MEMORY_KEYS.map(key => this.createElement('button', { class: 'memory-key', text: key }))
+            );
+            return row;
+        });
+        const add = this.createElement('button', { class: 'memory-add', text: '+', title: this.#text('ui', 'addRegister') });
+        this.DOM.divMemoryBank.replaceChildren(...rows, add);
+        this.memDisplay = (this.memory === 0) ? '' : this.activeRegister;
+    }
+
+    /**
+     * Handles clicks inside the memory panel:
+     * a register key (MS, MR, M+, M-, MC), the register itself (selects it) or the add button.
+     * @param {Event} e - Pointer event from the memory panel.
+     * @private
+     */
+    #handleMemoryBankClick(e) {
+        if (e.target.closest('.memory-add')) return this.addRegister();
+        const row = e.target.closest('.memory-register');
+        if (!row) return;
+        const key = e.target.closest('.memory-key')?.textContent;
+        if (!key) {
+            this.activeRegister = row.dataset.register;
+            return;
+        }
+        if (!this.error) this.#memoryOperation(key.slice(-1), row.dataset.register);
+    }
+
 	/** * Handles numeric digit inputs.
      * @param {string} btn - Digit or PI.
      * @returns {boolean} True if handled.
@@ -527,10 +1291,10 @@ export class Calculator extends Library {
 	#handleOperator(btn) {
 		if (!this.isOperator(btn)) return false;
 		if (this.isOperator()) {
-			const len = this.operationPending === MODULO ? -5 : -1;
+			const len = (typeof this.operationPending === 'string') ? -this.operationPending.length : -1;
 			this.currOperand = this.currOperand.slice(0, len);
 		} else if (this.operationPending && !this.termIsOpen) {
-			this.compute();
+			if (this.compute() !== undefined) this.#record();
 		} else if (this.lastInput === BRACKET_OPEN && btn !== '-') return true;
 		if (this.calcDone) this.calcDone = false;
 		this.operationPending = btn;
@@ -546,21 +1310,23 @@ export class Calculator extends Library {
      * @private
      */
     #handleSeparator(btn) {
-        if (btn !== SEPARATOR) return false;
+        const separator = this.decimalSeparator;
+        if (btn !== separator) return false;
+        if (this.layout === 'programmer') return true; // integers only
 
         // Case A: inside parentheses → allow one separator in the innermost term
         if (this.termIsOpen) {
             // prevent double separators like "0,,"
-            if (this.lastInput === SEPARATOR) return true;
+            if (this.lastInput === separator) return true;
 
             // if the last char is "(" or an operator, prepend leading zero
             if (this.lastInput === BRACKET_OPEN || this.isOperator()) this.currOperand += '0';
 
             // allow only one separator within the innermost "( ... )"
-            const expressionIfAdded = this.currOperand + SEPARATOR;
+            const expressionIfAdded = this.currOperand + separator;
             const lastOpenIdx = this.currOperand.lastIndexOf(BRACKET_OPEN);
-            const sepIsValid = expressionIfAdded.lastIndexOf(SEPARATOR) > lastOpenIdx;
-            if (sepIsValid) this.updateDisplay(SEPARATOR);
+            const sepIsValid = expressionIfAdded.lastIndexOf(separator) > lastOpenIdx;
+            if (sepIsValid) this.updateDisplay(separator);
             return true;
         }
 
@@ -570,7 +1336,7 @@ export class Calculator extends Library {
         if (this.operationPending && this.prevOperand === '') {
             this.prevOperand = this.currOperand;
             this.currOperand = '0';
-            this.updateDisplay(SEPARATOR);
+            this.updateDisplay(separator);
             return true;
         }
 
@@ -578,7 +1344,7 @@ export class Calculator extends Library {
         if (!this.currOperand || this.isOperator()) this.currOperand += '0';
 
         // Only one separator in the current operand (outside of parentheses)
-        if (!this.currOperand.includes(SEPARATOR)) this.updateDisplay(SEPARATOR);
+        if (!this.currOperand.includes(separator)) this.updateDisplay(separator);
         return true;
     }
 
@@ -600,11 +1366,549 @@ export class Calculator extends Library {
      * @private
      */
 	#handleFunction(btn) {
-		if (!FUNCTIONS.includes(btn)) return false;
-		this.updateDisplay(this.executeMathFunction(btn));
+		if (!FUNCTIONS.includes(btn) && !Object.hasOwn(SCIENTIFIC_FUNCTIONS, btn)) return false;
+		const result = this.executeMathFunction(btn);
+		this.updateDisplay(result);
+		if (this.lastWasUnary && result === undefined) this.#record();
 		return true;
 	}
 
+    /**
+     * Handles the keys of the scientific layout that are no functions of the current operand:
+     * the angle unit (DEG → RAD → GRAD), 2nd (inverse functions), EE (exponent) and the operators xʸ and ʸ√x.
+     * @param {string} btn - Button label.
+     * @returns {boolean} True if handled.
+     * @private
+     */
+    #handleScientific(btn) {
+        if (this.layout !== 'scientific') return false;
+        if (Object.hasOwn(ANGLE_UNITS, btn)) {
+            const captions = Object.keys(ANGLE_UNITS);
+            this.angleUnit = ANGLE_UNITS[captions[(captions.indexOf(btn) + 1) % captions.length]];
+            return true;
+        }
+        if (btn === '2nd') {
+            this.#inverse = !this.#inverse;
+            this.#labelScientificKeys();
+            return true;
+        }
+        if (btn === 'EE') {
+            // "1,5" → "1,5e": the following digits (and ±) form the exponent
+            if (this.isOperator() || this.termIsOpen || this.currOperand.includes('e')) return true;
+            if (this.calcDone) {
+                this.prevOperand = '';
+                this.calcDone = false;
+            }
+            this.currOperand += 'e';
+            return true;
+        }
+        if (Object.hasOwn(SCIENTIFIC_OPERATORS, btn)) {
+            this.#inverse = false;
+            this.#labelScientificKeys();
+            return this.#handleOperator(SCIENTIFIC_OPERATORS[btn]);
+        }
+        return false;
+    }
+
+    /**
+     * Shows the current angle unit and - while 2nd is active - the inverse functions on the scientific keys.
+     * @private
+     */
+    #labelScientificKeys() {
+        if (!this.created) return;
+        const angle = Object.keys(ANGLE_UNITS).find(caption => ANGLE_UNITS[caption] === this.angleUnit);
+        this.DOM.divScientificKeys.querySelectorAll('button').forEach(btn => {
+            const key = btn.dataset.key;
+            if (key === 'DEG') btn.textContent = angle;
+            else btn.textContent = (this.#inverse && SCIENTIFIC_INVERSE[key]) || key;
+            if (key === '2nd') btn.classList.toggle('active', this.#inverse);
+        });
+        this.#describeKeys();
+    }
+
+    /**
+     * Handles the keys of the financial layout:
+     * - the rate key cycles through {@link vatRates}
+     * - +VAT, -VAT and VAT add, remove or extract the VAT of the current value
+     * - all other keys start the guided input of a function of FINANCIAL_GUIDES
+     * @param {string} btn - Button label.
+     * @returns {boolean} True if handled.
+     * @private
+     */
+    #handleFinancial(btn) {
+        if (this.layout !== 'financial') return false;
+        // the caption of the rate key changes, so the key is identified by data-key
+        const key = [...this.DOM.divFinancialKeys.children].find(b => b.textContent === btn)?.dataset.key;
+        if (!key) return false;
+        if (key === 'RATE') {
+            this.#vatIndex = (this.#vatIndex + 1) % this.vatRates.length;
+            this.#labelFinancialKeys();
+            return true;
+        }
+        if (Object.hasOwn(FINANCIAL_GUIDES, key)) {
+            this.#guide = { key, inputs: [], fresh: true };
+            this.operationPending = false;
+            this.#promptGuide();
+            return true;
+        }
+        // VAT keys work on the current value like the unary functions
+        const value = this.currValue, rate = this.vatRate.rate, factor = 1 + rate / 100;
+        const results = { '+VAT': value * factor, '-VAT': value / factor, 'VAT': value - value / factor };
+        const term = `${this.format$(value)} ${key} ${this.format$(rate)} %`;
+        this.#guide = null;
+        this.prevOperand = term;
+        this.currOperand = this.format$(this.round(results[key], this.financialDecimals));
+        this.operationPending = false;
+        this.calcDone = true;
+        this.lastWasUnary = true;
+        this.#record();
+        return true;
+    }
+
+    /**
+     * Shows the prompt of the next input of the current financial function in the status bar.
+     * The input starts with the current value (first input) or the default of the function.
+     * @private
+     */
+    #promptGuide() {
+        const { key, inputs } = this.#guide;
+        const step = inputs.length, guide = FINANCIAL_GUIDES[key];
+        const value = (step === 0) ? this.currValue : (guide.defaults?.[step] ?? 0);
+        this.prevOperand = `${key} › ${this.#text('prompts', guide.prompts[step])}`;
+        this.currOperand = this.format$(value);
+        this.#announce(`${this.prevOperand}: ${this.currOperand}`);
+        this.calcDone = false;
+        this.#guide.fresh = true;
+    }
+
+    /**
+     * Takes the current value as next input of the financial function.
+     * After the last input the function is computed and recorded like a completed calculation.
+     * @returns {boolean} True if the function has been computed (or failed).
+     * @private
+     */
+    #advanceGuide() {
+        const { key, inputs } = this.#guide, guide = FINANCIAL_GUIDES[key];
+        inputs.push(this.currValue);
+        if (inputs.length < guide.prompts.length) {
+            this.#promptGuide();
+            return false;
+        }
+        this.#guide = null;
+        const result = guide.compute(...inputs);
+        if (!Number.isFinite(result)) {
+            this.updateDisplay(new Error(ERR_UNDEFINED));
+            return true;
+        }
+        this.prevOperand = `${key}(${inputs.map(value => this.format$(value)).join('; ')})`;
+        this.currOperand = this.format$(this.round(result, this.financialDecimals));
+        this.calcDone = true;
+        this.lastWasUnary = true;
+        this.#record();
+        return true;
+    }
+
+    /**
+     * Shows the current VAT preset on the rate key of the financial layout.
+     * @private
+     */
+    #labelFinancialKeys() {
+        if (!this.created) return;
+        const rateKey = this.DOM.divFinancialKeys.querySelector('.vat-rate');
+        const { label, rate } = this.vatRate;
+        if (rateKey) rateKey.textContent = `${label} ${this.format$(rate)}%`;
+        this.#describeKeys();
+    }
+
+    /**
+     * Sets the aria-label of every key whose caption is a symbol (`keys` of {@link MESSAGES}).
+     * Called whenever captions change (2nd, angle unit, VAT rate, word size).
+     * @private
+     */
+    #describeKeys() {
+        if (!this.created) return;
+        this.DOM.divCalculatorPod.querySelectorAll('button.calc-btn').forEach(btn => {
+            const caption = btn.textContent.trim();
+            let label = this.#text('keys', caption, '');
+            if (btn.classList.contains('separator')) label = this.#text('keys', 'separator');
+            else if (btn.classList.contains('vat-rate')) label = `${this.#text('keys', 'RATE')} ${caption}`;
+            if (label) btn.setAttribute('aria-label', label);
+            else btn.removeAttribute('aria-label');
+        });
+    }
+
+    /**
+     * Lets screen readers read a text by the live region of the display.
+     * @param {string} text - Result, prompt or error message.
+     * @private
+     */
+    #announce(text) {
+        if (this.created) this.DOM.divAnnouncer.textContent = text;
+    }
+
+    /**
+     * Returns a text of the current {@link language} (English if the language or the text is missing).
+     * @param {'ui'|'keys'|'prompts'|'errors'} group - Group of texts in {@link MESSAGES}.
+     * @param {string} key - Key of the text.
+     * @param {string} [fallback=key] - Returned if the text is missing in English as well.
+     * @returns {string}
+     * @private
+     */
+    #text(group, key, fallback = key) {
+        return MESSAGES[this.language]?.[group]?.[key] ?? MESSAGES.en[group]?.[key] ?? fallback;
+    }
+
+    /**
+     * Returns the message of an error in the current language.
+     * Parser errors are translated by their reason, the calculator's own errors by their message (ASSETS.errors).
+     * Unknown errors keep their message.
+     * @param {Error} err - The error.
+     * @returns {string}
+     * @private
+     */
+    #errorText(err) {
+        if (err instanceof ParserError) {
+            const original = PARSER_ERRORS[err.reason];
+            return err.message.replace(original, this.#text('errors', err.reason, original));
+        }
+        const index = ASSETS.errors.indexOf(err.message);
+        return (index < 0) ? err.message : this.#text('errors', ERROR_CODES[index], err.message);
+    }
+
+    /**
+     * Applies the texts of the current language to the titles and labels of the pod and the buddy icons.
+     * @private
+     */
+    #localizeUI() {
+        if (!this.created) return;
+        this.DOM.divCalculatorPod.setAttribute('aria-label', this.#text('ui', 'calculator'));
+        this.DOM.btnMemoryToggle.title = this.#text('ui', 'memory');
+        this.DOM.btnHistoryToggle.title = this.#text('ui', 'history');
+        this.DOM.divHistoryTools.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.title = this.#text('ui', btn.dataset.action);
+        });
+        this.DOM.divMemoryBank.querySelector('.memory-add')?.setAttribute('title', this.#text('ui', 'addRegister'));
+        if (!this.inline) {
+            document.querySelectorAll('.calc-buddy-icon').forEach(icon => { icon.title = this.#text('ui', 'icon'); });
+        }
+        this.#describeKeys();
+    }
+
+    /**
+     * Adds the calculation just completed (expression line and result) to the history tape.
+     * The oldest entries are dropped once {@link historySize} is exceeded.
+     * The completed calculation is announced to screen readers as well.
+     * @private
+     */
+    #record() {
+        if (this.error || !this.calcDone) return;
+        const value = (this.layout === 'programmer') ? this.#toBigInt(this.currOperand) : this.currValue;
+        this.#history.push({
+            expression: this.prevOperand,
+            result: this.currOperand,
+            value: String(value),
+            layout: this.layout,
+            radix: this.radix,
+            date: new Date().toISOString()
+        });
+        if (this.#history.length > this.historySize) this.#history.splice(0, this.#history.length - this.historySize);
+        this.#saveHistory();
+        this.#renderHistory();
+        this.#announce(`${this.prevOperand} = ${this.currOperand}`);
+    }
+
+    /**
+     * Recalls a history entry into the display.
+     * - 'result'     → the value becomes the current operand (or the right operand of a pending operation)
+     * - 'expression' → the expression is put on display to be edited and evaluated again with "="
+     * Expressions of another layout or base cannot be evaluated here, their result is recalled instead.
+     * @param {number} index - Index of the entry in {@link history}.
+     * @param {'result'|'expression'} [part='result'] - Part of the entry to recall.
+     */
+    recall(index, part = 'result') {
+        const entry = this.#history[index];
+        if (!entry) return;
+        const sameLayout = (entry.layout === this.layout) && (this.layout !== 'programmer' || entry.radix === this.radix);
+        const expression = RECALL_NOTATIONS.reduce((expr, [pattern, notation]) => expr.replace(pattern, notation), entry.expression);
+        // financial functions and VAT terms are no expressions the parser reads
+        const readable = (this.layout === 'programmer') || !(this.parser.compile(expression) instanceof Error);
+        if (part === 'expression' && sameLayout && readable) {
+            this.reset();
+            this.currOperand = expression;
+            this.#recalled = true;
+            return;
+        }
+        const value = (entry.layout === 'programmer' && this.layout === 'programmer') ? BigInt(entry.value) : Number(entry.value);
+        if (this.error || !this.operationPending) {
+            this.reset();
+            this.calcDone = true;
+        } else if (this.isOperator()) {
+            this.prevOperand = this.currOperand;
+        }
+        this.currOperand = this.format$(value);
+    }
+
+    /**
+     * Removes all entries from the history tape (and from localStorage).
+     */
+    clearHistory() {
+        this.#history = [];
+        this.#saveHistory();
+        this.#renderHistory();
+    }
+
+    /**
+     * Returns the history tape as text.
+     * - 'csv'  → date, expression and result per line (delimiter ';' if the decimal separator is a comma)
+     * - 'text' → one "expression = result" line per entry
+     * @param {'csv'|'text'} [format='csv'] - Export format.
+     * @returns {string}
+     */
+    exportHistory(format = 'csv') {
+        if (format === 'text') return this.#history.map(entry => `${entry.expression} = ${entry.result}`).join('\n');
+        const delimiter = (this.decimalSeparator === ',') ? ';' : ',';
+        const quote = (value) => `"${String(value).replaceAll('"', '""')}"`;
+        const rows = [['date', 'expression', 'result'], ...this.#history.map(entry => [entry.date, entry.expression, entry.result])];
+        return rows.map(row => row.map(quote).join(delimiter)).join('\r\n');
+    }
+
+    /**
+     * Restores the history tape from localStorage.
+     * @private
+     */
+    #loadHistory() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.#storageKey('CalculatorHistory'))) || [];
+            if (Array.isArray(data)) this.#history = data.slice(-this.historySize);
+        } catch { /* ignore */ }
+    }
+
+    /**
+     * Stores the history tape in localStorage.
+     * Storage errors (quota exceeded, storage blocked) only cost the persistence, never the calculation.
+     * @private
+     */
+    #saveHistory() {
+        try {
+            localStorage.setItem(this.#storageKey('CalculatorHistory'), JSON.stringify(this.#history));
+        } catch { /* ignore */ }
+    }
+
+    /**
+     * Lists the history entries, newest first.
+     * @private
+     */
+    #renderHistory() {
+        if (!this.created) return;
+        const entries = this.#history.map((entry, index) => {
+            const item = this.createElement('div', {
+                class: 'history-entry',
+                'data-index': index,
+                title: new Date(entry.date).toLocaleString(this.locale)
+            });
+            item.append(
+                this.createElement('span', { class: 'history-expression', text: entry.expression }),
+                this.createElement('span', { class: 'history-result', text: entry.result })
+            );
+            return item;
+        });
+        this.DOM.divHistoryList.replaceChildren(...entries.reverse());
+    }
+
+    /**
+     * Handles clicks inside the history panel:
+     * the export/clear buttons or an entry (its expression or its result).
+     * @param {Event} e - Pointer event from the history panel.
+     * @private
+     */
+    #handleHistoryClick(e) {
+        const action = e.target.closest('button')?.dataset.action;
+        if (action === 'clear') return this.clearHistory();
+        if (action) return this.#downloadHistory(action);
+        const entry = e.target.closest('.history-entry');
+        if (!entry) return;
+        this.recall(Number(entry.dataset.index), e.target.closest('.history-expression') ? 'expression' : 'result');
+    }
+
+    /**
+     * Offers the exported history tape as a file download.
+     * @param {'csv'|'text'} format - Export format.
+     * @private
+     */
+    #downloadHistory(format) {
+        const csv = (format === 'csv');
+        const blob = new Blob([this.exportHistory(format)], { type: csv ? 'text/csv' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        this.createElement('a', { href: url, download: `calculator-history.${csv ? 'csv' : 'txt'}` }).click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Turns the visible expression (or the last result) into an editable input line.
+     * The caret is placed at its end; "=" evaluates the whole line with the Parser.
+     * @returns {boolean} True if editing has started.
+     * @private
+     */
+    #beginEdit() {
+        if (this.error || this.#guide) return false;
+        let expression = this.calcDone ? this.currOperand : this.fullExpression;
+        if (this.groupSeparator && this.layout !== 'programmer') expression = expression.replaceAll(this.groupSeparator, '');
+        this.reset();
+        this.#recalled = true; // compute() evaluates the full expression
+        this.#setEdit(expression || '0', (expression || '0').length);
+        return true;
+    }
+
+    /**
+     * Moves the caret. Multi-char operators like " mod " are skipped as a whole.
+     * Without SHIFT, an existing selection collapses to its start (←) or end (→).
+     * @param {'ArrowLeft'|'ArrowRight'|'Home'|'End'} key - Navigation key.
+     * @param {boolean} [select=false] - True to extend the selection (SHIFT).
+     * @private
+     */
+    #moveCaret(key, select = false) {
+        if (this.#caret === null && !this.#beginEdit()) return;
+        const [start, end] = this.#selectionRange();
+        let caret = this.#caret;
+        if (!select && start !== end && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+            caret = (key === 'ArrowLeft') ? start : end;
+        }
+        else if (key === 'ArrowLeft') caret -= this.#tokenLength(-1);
+        else if (key === 'ArrowRight') caret += this.#tokenLength(1);
+        else if (key === 'Home') caret = 0;
+        else if (key === 'End') caret = this.currOperand.length;
+        this.#anchor = select ? (this.#anchor ?? this.#caret) : null;
+        this.#caret = Math.min(Math.max(caret, 0), this.currOperand.length);
+        this.#renderCaret();
+    }
+
+    /**
+     * Returns the selected part of the input line.
+     * @returns {number[]} [start, end] - Equal positions if nothing is selected.
+     * @private
+     */
+    #selectionRange() {
+        const anchor = this.#anchor ?? this.#caret;
+        return [Math.min(anchor, this.#caret), Math.max(anchor, this.#caret)];
+    }
+
+    /**
+     * Returns the length of the token before or after the caret (i.e. 5 for " mod ", otherwise 1).
+     * @param {number} direction - -1 = before, 1 = after the caret.
+     * @returns {number}
+     * @private
+     */
+    #tokenLength(direction) {
+        const text = this.currOperand;
+        const token = EDIT_TOKENS.find(t => (direction < 0)
+            ? text.slice(0, this.#caret).endsWith(t)
+            : text.startsWith(t, this.#caret));
+        return token?.length ?? 1;
+    }
+
+    /**
+     * Inserts a key at the caret or replaces the selection with it.
+     * A lone "0" is replaced by a digit; a separator gets a leading zero if no digit precedes it.
+     * @param {string} input - Text of the key.
+     * @returns {boolean} Always true.
+     * @private
+     */
+    #insertAtCaret(input) {
+        const [start, end] = this.#selectionRange();
+        let before = this.currOperand.slice(0, start);
+        const after = this.currOperand.slice(end);
+        if (before === '0' && !after && this.isNumeric) before = '';
+        if (input === this.decimalSeparator && !/\d$/.test(before)) input = '0' + input;
+        this.#setEdit(before + input + after, before.length + input.length);
+        return true;
+    }
+
+    /**
+     * Deletes the selection or the token before (⌫) or after (DEL) the caret.
+     * @param {number} [direction=-1] - -1 = before, 1 = after the caret.
+     * @private
+     */
+    #deleteAtCaret(direction = -1) {
+        let [start, end] = this.#selectionRange();
+        if (start === end) {
+            if (direction < 0) start = Math.max(0, start - this.#tokenLength(-1));
+            else end = Math.min(this.currOperand.length, end + this.#tokenLength(1));
+        }
+        const text = this.currOperand.slice(0, start) + this.currOperand.slice(end);
+        this.#setEdit(text || '0', text ? start : 1);
+    }
+
+    /**
+     * Sets the text of the input line and keeps editing it.
+     * @param {string} text - The expression.
+     * @param {number} caret - New caret position.
+     * @private
+     */
+    #setEdit(text, caret) {
+        this.currOperand = text; // ends editing...
+        this.#caret = caret;     // ...so the caret is set afterwards
+        this.#anchor = null;
+        this.#renderCaret();
+    }
+
+    /**
+     * Shows the caret (or the selection) in the input line. The text content stays unchanged.
+     * @private
+     */
+    #renderCaret() {
+        const text = this.currOperand;
+        const [start, end] = this.#selectionRange();
+        const marker = (start === end)
+            ? this.createElement('span', { class: 'calc-caret' })
+            : this.createElement('mark', { class: 'calc-selection', text: text.slice(start, end) });
+        this.DOM.divInput.replaceChildren(text.slice(0, start), marker, text.slice(end));
+    }
+
+    /**
+     * Handles a key while the input line is edited: digits, separators, brackets and operators
+     * are inserted at the caret. Any other key (functions, memory, ±...) is applied to the result
+     * of the edited expression, so the expression is computed first.
+     * @param {string} btn - Button label.
+     * @returns {boolean} True if handled.
+     * @private
+     */
+    #handleEdit(btn) {
+        if (this.#caret === null) return false;
+        if (btn === 'EE') return this.#insertAtCaret('e');
+        const operator = (this.layout === 'scientific' && SCIENTIFIC_OPERATORS[btn]) || btn;
+        if (this.isNumeric || this.isBracket || btn === this.decimalSeparator || this.isOperator(operator)) {
+            return this.#insertAtCaret(operator);
+        }
+        // angle unit and 2nd only change the captions
+        if (Object.hasOwn(ANGLE_UNITS, btn) || btn === '2nd') return false;
+        const expression = this.currOperand;
+        const result = this.compute();
+        if (result !== undefined && this.format$(result) !== expression) this.#record();
+        return false;
+    }
+
+    /**
+     * Shows the result of the visible expression below the input line while it is typed.
+     * Unclosed brackets are closed for the preview; plain numbers, incomplete terms and errors show nothing.
+     * @private
+     */
+    #updatePreview() {
+        if (!this.created) return;
+        let preview = '';
+        const expression = this.fullExpression;
+        // only digits and separators: there is nothing to compute
+        const term = expression.replace(/^-/, '').replace(/[\dA-F\s]/g, '')
+            .replaceAll(this.decimalSeparator, '').replaceAll(this.groupSeparator, '');
+        if (term && !this.error && !this.calcDone && !this.#guide) {
+            const open = (expression.match(/\(/g) || []).length - (expression.match(/\)/g) || []).length;
+            const closed = expression + BRACKET_CLOSE.repeat(Math.max(0, open));
+            const result = this.parser.parse((this.layout === 'programmer') ? this.#toProgrammerExpression(closed) : closed);
+            if (typeof result === 'bigint') preview = `= ${this.format$(result)}`;
+            else if (typeof result === 'number' && isFinite(result)) preview = `= ${this.format$(this.round(result))}`;
+        }
+        this.DOM.divPreview.textContent = preview;
+    }
+
 	/**
 	 * Updates the calculator display with a given expression or result.
 	 * Handles formatting, overflow, and error states automatically.
@@ -613,23 +1917,46 @@ export class Calculator extends Library {
 	updateDisplay(expression) {
 		if (expression === undefined) return;
 		if (expression instanceof Error) {
-			this.prevOperand = 'Error';
-			this.currOperand = expression.message;
+			if (!this.#markError(expression)) this.prevOperand = this.#text('ui', 'error');
+			this.currOperand = this.#errorText(expression);
 			this.error = true;
-		} else if (expression === 'π') {
-			this.currOperand = this.format$(this.round(Math.PI));
+			this.#announce(`${this.#text('ui', 'error')}: ${this.currOperand}`);
+		} else if (Object.hasOwn(MATH_CONSTANTS, expression)) {
+			this.currOperand = this.format$(this.round(MATH_CONSTANTS[expression]));
 		} else if (this.currOperand === '0' && this.isNumeric || this.calcDone) {
 			this.currOperand = expression;
 			this.prevOperand = this.calcDone ? '' : this.prevOperand;
 			this.calcDone = false;
-		} else if (expression === ',' || this.isOperator(expression) || expression === BRACKET_OPEN) {
+		} else if (expression === this.decimalSeparator || this.isOperator(expression) || expression === BRACKET_OPEN) {
 			this.currOperand += expression;
-		} else if (this.currOperand.length < ASSETS.maxInput) {
+		} else if (this.currOperand.length < ((this.layout === 'programmer') ? this.wordSize : ASSETS.maxInput)) {
 			this.currOperand += expression;
 			this.currOperand = this.format$(this.currOperand);
 		}
 	}
 
+    /**
+     * Shows the visible expression in the status bar and wraps the token that
+     * caused a ParserError into a <mark> element.
+     * Only applies if the error refers to the expression currently on display.
+     * @param {Error} err - The error to be displayed.
+     * @returns {boolean} True if the error position has been marked.
+     * @private
+     */
+    #markError(err) {
+        if (!(err instanceof ParserError) || err.offset < 0) return false;
+        const expr = this.fullExpression;
+        if (err.input !== expr) return false;
+        const end = err.offset + Math.max(1, err.token.length);
+        const mark = this.createElement('mark', {
+            class: 'calc-error-mark',
+            text: expr.slice(err.offset, end) || ' ',
+            title: this.#errorText(err)
+        });
+        this.DOM.divPrevOperand.replaceChildren(expr.slice(0, err.offset), mark, expr.slice(end));
+        return true;
+    }
+
 	/**
 	 * Executes mathematical single-value functions (Unary operations).
 	 * @param {string} fnc - Function name.
@@ -648,22 +1975,33 @@ export class Calculator extends Library {
 				this.prevOperand = `√(${this.currOperand})`;
 				result = Math.sqrt(this.currValue);
 				break;
-			case '±':
-				this.currOperand = this.currOperand.charAt(0) === '-' ?
-					this.currOperand.slice(1) : '-' + this.currOperand;
+			case '±': {
+				// while an exponent is entered ("1,5e3"), the sign belongs to the exponent
+				const at = this.currOperand.indexOf('e') + 1;
+				const [mantissa, exponent] = [this.currOperand.slice(0, at), this.currOperand.slice(at)];
+				if (at && !exponent) break; // no exponent digit yet ("1,5e-" would read as subtraction)
+				this.currOperand = mantissa + (exponent.charAt(0) === '-' ? exponent.slice(1) : '-' + exponent);
+				break;
+			}
+			case '~':
+				result = this.parser.parse(`~(${this.#toProgrammerExpression(this.currOperand)})`);
+				if (result instanceof Error) return result;
+				this.prevOperand = `~(${this.currOperand})`;
+				this.currOperand = this.format$(result); // the result may be 0
 				break;
-			case '%':
+			case '%': {
+				// the parser resolves "200 + 10%" → 220, "50 × 10%" → 5 and "10%" → 0.1
 				if (this.calcDone) this.prevOperand = '';
-				if (this.prevValue) {
-					const tmp = this.prevOperand + this.format$(this.currValue) + ' %';
-					this.currOperand = this.format$(this.currValue / 100);
-					result = this.compute();
-					this.prevOperand = tmp;
-				} else {
-					result = this.currValue / 100;
-					this.prevOperand = this.format$(this.currValue) + ' %';
-				}
+				const term = this.fullExpression;
+				result = this.parser.parse(`${term}%`);
+				if (result instanceof Error) return result;
+				result = this.round(result);
+				this.prevOperand = `${term} %`;
+				this.operationPending = false;
+				this.lastOperator = null;
+				this.lastOperand = null;
 				break;
+			}
 			case '1/x':
 				if (this.currValue === 0) return new Error(ERR_DIV_BY_ZERO);
 				this.prevOperand = `reciproc(${this.currOperand})`;
@@ -676,6 +2014,18 @@ export class Calculator extends Library {
 				if (result === Infinity) return new Error(ERR_OVERFLOW);
 				this.prevOperand = `fact(${this.currOperand})`;
 				break;
+			default: {
+				// scientific keys: the term is evaluated by the parser (in the current angle unit)
+				if (!Object.hasOwn(SCIENTIFIC_FUNCTIONS, fnc)) break;
+				const term = SCIENTIFIC_FUNCTIONS[fnc](this.#toExpression(this.currValue));
+				result = this.parser.parse(term);
+				if (result instanceof Error) return result;
+				result = this.round(result);
+				this.prevOperand = term;
+				this.currOperand = this.format$(result); // the result may be 0
+				this.#inverse = false;
+				this.#labelScientificKeys();
+			}
 		}
 		if (result) this.currOperand = this.format$(result);
 		this.calcDone = result !== null;
@@ -703,6 +2053,7 @@ export class Calculator extends Library {
      * @returns {number|void}
      */
     compute() {
+        if (this.layout === 'programmer') return this.#computeProgrammer();
         const expr = this.fullExpression;
         // R) Repeat "=" case: user keeps pressing "=" after a completed calc
         // We expect: no pending operator, calcDone = true, and we remember lastOperator/lastOperand
@@ -711,9 +2062,8 @@ export class Calculator extends Library {
             const op = this.lastOperator;       // last used operator (string as shown, e.g. "×", " mod ")
             const b  = this.lastOperand;        // last right-hand operand
 
-            let result = this.parser
-                ? this.parser.parse(`${a}${op}${b}`)
-                : this.evaluate(`${a}${op}${b}`);
+            const term = `${this.#toExpression(a)}${op}${this.#toExpression(b)}`;
+            let result = this.parser ? this.parser.parse(term) : this.evaluate(term);
 
             if (result === Infinity) result = new Error(ERR_DIV_BY_ZERO);
             if (result instanceof Error) {
@@ -731,8 +2081,8 @@ export class Calculator extends Library {
             return result;
         }
 
-        // A) Any parentheses present → parser handles full expression on "=" / "↵"
-        if (this.hasParens && this.parser) {
+        // A) Any parentheses present (or a recalled expression) → parser handles full expression on "=" / "↵"
+        if ((this.hasParens || this.#recalled) && this.parser) {
             let result = this.parser.parse(expr);
             if (result instanceof Error) {
                 // if the previous step was a unary function result, soft-recover: reset instead of error
@@ -748,6 +2098,7 @@ export class Calculator extends Library {
             this.currOperand = this.format$(result);
             this.calcDone = true;
             this.operationPending = false;
+            this.#recalled = false;
 
             // We do NOT infer a "last operation" from a complex expression → disable repeat "="
             this.lastOperator = null;
@@ -760,9 +2111,8 @@ export class Calculator extends Library {
             const a  = this.currValue;
             const op = this.operationPending;
 
-            let result = this.parser
-                ? this.parser.parse(`${a}${op}${a}`)
-                : this.evaluate(`${a}${op}${a}`);
+            const term = `${this.#toExpression(a)}${op}${this.#toExpression(a)}`;
+            let result = this.parser ? this.parser.parse(term) : this.evaluate(term);
 
             if (result === Infinity) result = new Error(ERR_DIV_BY_ZERO);
             if (result instanceof Error) {
@@ -791,7 +2141,7 @@ export class Calculator extends Library {
 
         // preserve right-hand operand BEFORE we overwrite currOperand with the result
         const right = this.currValue;
-        const expression = this.prevValue.toString() + operation + right.toString();
+        const expression = this.#toExpression(this.prevValue) + operation + this.#toExpression(right);
 
         let result = this.parser ? this.parser.parse(expression) : this.evaluate(expression);
         if (result === Infinity) result = new Error(ERR_DIV_BY_ZERO);
@@ -828,25 +2178,158 @@ export class Calculator extends Library {
 
 	/**
 	 * Formats a numeric expression to a localized string with digit grouping.
+	 * Separators are taken from the current {@link locale}.
 	 * @param {string|number} expression - The value to format.
 	 * @returns {string} The formatted localized string.
 	 */
 	format$(expression) {
+        // programmer layout: numbers are shown in the current base, typed strings stay as they are
+        if (this.layout === 'programmer') {
+            if (typeof expression === 'string') return expression;
+            const value = (typeof expression === 'number') ? BigInt(Math.trunc(expression) || 0) : expression;
+            return this.parser.format(value, { radix: this.radix, useGrouping: false });
+        }
+		const dec = this.decimalSeparator, group = this.groupSeparator;
 		if (this.groupDigits) {
-            // skip formatting if expression contains anything non-numeric, commas or brackets/operators
-            if (typeof expression === 'string' && /[^\d,.\-]/.test(expression)) return expression;
-			if (typeof expression === 'number') expression = expression.toString().replaceAll('.', ',');
+            // skip formatting if expression contains anything non-numeric, separators or brackets/operators
+            if (typeof expression === 'string' && [...expression].some(c => !/[\d\-]/.test(c) && c !== dec && c !== group)) return expression;
+			if (typeof expression === 'number') expression = this.#toExpression(expression);
 			else if (this.termIsOpen) return expression;
-			else expression = expression.replaceAll('.', '');
-			const numParts = expression.split(','),
+			else if (group) expression = expression.replaceAll(group, '');
+			const numParts = expression.split(dec),
 				int = Number(numParts[0]),
-				integers = (int > Math.pow(10, 20)) ? int : int.toLocaleString(),
+				integers = (int > Math.pow(10, 20)) ? int : this.parser.format(int),
 				decimals = numParts[1];
-			return decimals ? integers + ',' + decimals : integers;
+			return decimals ? integers + dec + decimals : integers;
 		}
-		return expression.toString().replace('.', ',');
+		return this.#toExpression(expression);
 	}
 
+    /**
+     * Converts a localized display string (i.e. "1'234.5" for de-CH) into a number.
+     * Group separators, operators and any trailing sign are ignored.
+     * @param {string} str - Display text.
+     * @returns {number}
+     * @private
+     */
+    #toNumber(str) {
+        const dec = this.decimalSeparator;
+        const digits = str.replace(new RegExp(`[^-0-9e+${dec}]|-$|\\+$`, 'g'), '');
+        return Number(digits.replaceAll(dec, '.'));
+    }
+
+    /**
+     * Converts a number into an operand the parser reads in the current locale (no grouping).
+     * @param {number|string} value - Value to convert.
+     * @returns {string}
+     * @private
+     */
+    #toExpression(value) {
+        return value.toString().replace('.', this.decimalSeparator);
+    }
+
+    /**
+     * Evaluates the visible expression with integer arithmetic (programmer layout).
+     * Repeating "=" is not supported here; a completed result stays as it is.
+     * @returns {bigint|void}
+     * @private
+     */
+    #computeProgrammer() {
+        if (this.calcDone && !this.operationPending) return;
+        const expr = this.fullExpression;
+        const result = this.parser.parse(this.#toProgrammerExpression(expr));
+        if (result instanceof Error) {
+            this.updateDisplay(result);
+            return;
+        }
+        this.prevOperand = expr;
+        this.currOperand = this.format$(result);
+        this.calcDone = true;
+        this.lastWasUnary = false;
+        this.operationPending = false;
+        this.lastOperator = null;
+        this.lastOperand = null;
+        return result;
+    }
+
+    /**
+     * Reads the last operand of a display string in the current base ("FF&1A" → 26n for HEX).
+     * A leading minus sign belongs to the operand.
+     * @param {string} str - Display text.
+     * @returns {bigint} The value or 0n if the text holds no valid operand.
+     * @private
+     */
+    #toBigInt(str) {
+        const match = String(str).match(/(^-)?([0-9A-F]+)[^0-9A-F]*$/);
+        if (!match) return 0n;
+        try {
+            const value = BigInt(RADIX_PREFIXES[this.radix] + match[2]);
+            return match[1] ? -value : value;
+        } catch {
+            return 0n;
+        }
+    }
+
+    /**
+     * Prefixes all operands of a display string for the Parser ("FF&1A" → "0xFF&0x1A" for HEX).
+     * @param {string} str - Display text.
+     * @returns {string}
+     * @private
+     */
+    #toProgrammerExpression(str) {
+        const prefix = RADIX_PREFIXES[this.radix];
+        return prefix ? str.replace(/[0-9A-F]+/g, `${prefix}$&`) : str;
+    }
+
+    /**
+     * Shows the programmer panels and disables all keys that are not valid
+     * for the current layout (decimal functions) or base (digits).
+     * @private
+     */
+    #applyLayout() {
+        if (!this.created) return;
+        const programmer = (this.layout === 'programmer');
+        this.DOM.divCalculatorPod.dataset.calcLayout = this.layout;
+        this.DOM.divRadix.hidden = !programmer;
+        this.DOM.divProgrammerKeys.hidden = !programmer;
+        this.DOM.divScientificKeys.hidden = (this.layout !== 'scientific');
+        this.DOM.divFinancialKeys.hidden = (this.layout !== 'financial');
+        this.DOM.divCalculatorPod.querySelectorAll('button.calc-btn').forEach(btn => {
+            const key = btn.textContent;
+            const digit = /^[0-9A-F]$/.test(key) ? parseInt(key, 16) : -1;
+            btn.disabled = programmer &&
+                (DECIMAL_KEYS.includes(key) || btn.classList.contains('separator') || digit >= this.radix);
+        });
+        const wordSize = this.DOM.divProgrammerKeys.querySelector('.word-size');
+        if (wordSize) wordSize.textContent = Object.keys(WORD_SIZES).find(name => WORD_SIZES[name] === this.wordSize);
+        this.#labelScientificKeys();
+        this.#labelFinancialKeys();
+        this.#updateRadixPanel();
+    }
+
+    /**
+     * Shows the current operand in all four bases (programmer layout).
+     * @private
+     */
+    #updateRadixPanel() {
+        if (!this.created || this.layout !== 'programmer') return;
+        const value = this.error ? null : this.#toBigInt(this.currOperand);
+        for (const row of this.DOM.divRadix.children) {
+            const radix = Number(row.dataset.radix);
+            row.textContent = (value === null) ? '' : this.parser.format(value, { radix });
+            row.classList.toggle('active', radix === this.radix);
+        }
+    }
+
+    /**
+     * Shows the decimal separator of the current locale on the separator key.
+     * @private
+     */
+    #labelSeparatorKey() {
+        const key = this.DOM?.divCalculatorPod?.querySelector('button.separator');
+        if (key && this.parser) key.textContent = this.decimalSeparator;
+    }
+
     /**
      * TODO
      * REVIEW eventually implement new format$()-Method (inherit from Library)
@@ -891,7 +2374,11 @@ export class Calculator extends Library {
 	 * @param {string} [expression=this.lastInput] - Character to check.
 	 * @returns {boolean}
 	 */
-	isOperator(expression = this.lastInput) { return OPERATORS.includes(expression); }
+	isOperator(expression = this.lastInput) {
+        if (this.layout === 'programmer' && PROGRAMMER_OPERATORS.includes(expression)) return true;
+        if (this.layout === 'scientific' && Object.values(SCIENTIFIC_OPERATORS).includes(expression)) return true;
+        return OPERATORS.includes(expression);
+    }
 
 	/**
 	 * Adjusts the font size of the display input to ensure text fits the container width.
@@ -914,9 +2401,9 @@ export class Calculator extends Library {
 export const ASSETS = {
 	errors: [
 		'Wrong parameter type', 'Overflow', 'Negative root', 'Division by zero',
-		'Invalid expression', 'Not defined'
+		'Invalid expression', 'Not defined', 'Out of range'
 	],
-	mathOps: [' mod ', '+-×÷ mod ', 'n! x² √ ± % 1/x', ',', '(', ')'],
+	mathOps: [' mod ', '+-×÷ mod ', 'n! x² √ ± % 1/x ~', ',', '(', ')'],
 	maxInput: 21,
     icon: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
             <g id="svgCalculator" data-name="icon-calculator">
@@ -934,5 +2421,285 @@ export const ASSETS = {
         </svg>`
 };
 
-const [MODULO, OPERATORS, FUNCTIONS, SEPARATOR, BRACKET_OPEN, BRACKET_CLOSE] = ASSETS.mathOps;
-const [ERR_TYPEMISMATCH, ERR_OVERFLOW, ERR_NEGATIVE_ROOT, ERR_DIV_BY_ZERO, ERR_INVALID_EXP, ERR_UNDEFINED] = ASSETS.errors;
\ No newline at end of file
+/**
+ * UI texts of the calculator by language (the first part of {@link Calculator#locale}, i.e. 'de' for 'de-CH').
+ * Missing languages and texts fall back to English, further languages can be added at runtime.
+ * - ui:      titles and labels of the pod and the buddy icon
+ * - keys:    accessible names of the keys with symbol captions (by caption)
+ * - prompts: inputs of the financial functions (by the English prompt)
+ * - errors:  error messages by reason code (ERROR_CODES and the reasons of the Parser)
+ * English error messages and prompts are the originals (ASSETS.errors, PARSER_ERRORS, FINANCIAL_GUIDES).
+ * @type {Object<string, {ui: Object<string, string>, keys: Object<string, string>, prompts?: Object<string, string>, errors?: Object<string, string>}>}
+ */
+export const MESSAGES = {
+    en: {
+        ui: {
+            calculator: 'Calculator', icon: 'Open calculator', memory: 'Memory registers', history: 'History',
+            csv: 'Export as CSV', text: 'Export as text', clear: 'Clear history', addRegister: 'Add register', error: 'Error'
+        },
+        keys: {
+            'AC': 'All clear', '⌫': 'Delete', '(': 'Open bracket', ')': 'Close bracket', 'mod': 'Modulo',
+            '+': 'Plus', '-': 'Minus', '×': 'Times', '÷': 'Divided by', '=': 'Equals', '↵': 'Apply to input',
+            '±': 'Change sign', '%': 'Percent', 'n!': 'Factorial', 'x²': 'Square', '√': 'Square root',
+            '1/x': 'Reciprocal', 'π': 'Pi', separator: 'Decimal separator',
+            'MR': 'Memory recall', 'MS': 'Memory store', 'MC': 'Memory clear', 'M+': 'Memory add', 'M-': 'Memory subtract',
+            // scientific layout
+            'DEG': 'Angle unit degrees', 'RAD': 'Angle unit radians', 'GRAD': 'Angle unit gradians',
+            '2nd': 'Second functions', 'EE': 'Exponent', 'e': 'Euler number',
+            'sin⁻¹': 'Arcsine', 'cos⁻¹': 'Arccosine', 'tan⁻¹': 'Arctangent',
+            'sinh⁻¹': 'Inverse hyperbolic sine', 'cosh⁻¹': 'Inverse hyperbolic cosine', 'tanh⁻¹': 'Inverse hyperbolic tangent',
+            'ln': 'Natural logarithm', 'log': 'Logarithm', 'log₂': 'Binary logarithm',
+            'eˣ': 'e to the power of x', '10ˣ': '10 to the power of x', '2ˣ': '2 to the power of x',
+            'xʸ': 'Power', 'ʸ√x': 'Root', 'x³': 'Cube', '∛x': 'Cube root',
+            '|x|': 'Absolute value', '⌊x⌋': 'Round down', '⌈x⌉': 'Round up', 'rnd': 'Round',
+            // financial layout
+            'RATE': 'VAT rate', '+VAT': 'Add VAT', '-VAT': 'Remove VAT', 'VAT': 'VAT amount',
+            'MU': 'Markup', 'MG': 'Margin', 'MU%': 'Markup percent', 'MG%': 'Margin percent', 'Δ%': 'Percent change',
+            'FV': 'Future value', 'PMT': 'Loan payment',
+            // programmer layout
+            '&': 'And', '|': 'Or', '^': 'Exclusive or', '~': 'Not', '<<': 'Shift left', '>>': 'Shift right',
+            'BYTE': 'Word size byte', 'WORD': 'Word size word', 'DWORD': 'Word size double word', 'QWORD': 'Word size quad word'
+        }
+    },
+    de: {
+        ui: {
+            calculator: 'Rechner', icon: 'Rechner öffnen', memory: 'Speicherregister', history: 'Verlauf',
+            csv: 'Als CSV exportieren', text: 'Als Text exportieren', clear: 'Verlauf löschen',
+            addRegister: 'Register hinzufügen', error: 'Fehler'
+        },
+        keys: {
+            'AC': 'Alles löschen', '⌫': 'Löschen', '(': 'Klammer auf', ')': 'Klammer zu', 'mod': 'Modulo',
+            '+': 'Plus', '-': 'Minus', '×': 'Mal', '÷': 'Geteilt durch', '=': 'Gleich', '↵': 'In das Eingabefeld übernehmen',
+            '±': 'Vorzeichen wechseln', '%': 'Prozent', 'n!': 'Fakultät', 'x²': 'Quadrat', '√': 'Quadratwurzel',
+            '1/x': 'Kehrwert', 'π': 'Pi', separator: 'Dezimaltrennzeichen',
+            'MR': 'Speicher abrufen', 'MS': 'Speichern', 'MC': 'Speicher löschen',
+            'M+': 'Zum Speicher addieren', 'M-': 'Vom Speicher subtrahieren',
+            'DEG': 'Winkeleinheit Grad', 'RAD': 'Winkeleinheit Bogenmaß', 'GRAD': 'Winkeleinheit Gon',
+            '2nd': 'Zweitfunktionen', 'EE': 'Exponent', 'e': 'Eulersche Zahl',
+            'sin⁻¹': 'Arkussinus', 'cos⁻¹': 'Arkuskosinus', 'tan⁻¹': 'Arkustangens',
+            'sinh⁻¹': 'Areasinus hyperbolicus', 'cosh⁻¹': 'Areakosinus hyperbolicus', 'tanh⁻¹': 'Areatangens hyperbolicus',
+            'ln': 'Natürlicher Logarithmus', 'log': 'Logarithmus', 'log₂': 'Binärer Logarithmus',
+            'eˣ': 'e hoch x', '10ˣ': '10 hoch x', '2ˣ': '2 hoch x',
+            'xʸ': 'Potenz', 'ʸ√x': 'Wurzel', 'x³': 'Kubik', '∛x': 'Kubikwurzel',
+            '|x|': 'Betrag', '⌊x⌋': 'Abrunden', '⌈x⌉': 'Aufrunden', 'rnd': 'Runden',
+            'RATE': 'MwSt.-Satz', '+VAT': 'MwSt. hinzurechnen', '-VAT': 'MwSt. herausrechnen', 'VAT': 'MwSt.-Betrag',
+            'MU': 'Aufschlag', 'MG': 'Marge', 'MU%': 'Aufschlag in Prozent', 'MG%': 'Marge in Prozent',
+            'Δ%': 'Prozentuale Änderung', 'FV': 'Endwert', 'PMT': 'Kreditrate',
+            '&': 'Und', '|': 'Oder', '^': 'Exklusiv-Oder', '~': 'Nicht', '<<': 'Nach links schieben', '>>': 'Nach rechts schieben',
+            'BYTE': 'Wortbreite Byte', 'WORD': 'Wortbreite Wort', 'DWORD': 'Wortbreite Doppelwort', 'QWORD': 'Wortbreite Vierfachwort'
+        },
+        prompts: {
+            'Cost': 'Kosten', 'Markup %': 'Aufschlag %', 'Margin %': 'Marge %', 'Price': 'Preis',
+            'Old value': 'Alter Wert', 'New value': 'Neuer Wert', 'Principal': 'Kapital', 'Interest % p.a.': 'Zins % p.a.',
+            'Years': 'Jahre', 'Periods per year': 'Perioden pro Jahr', 'Loan amount': 'Kreditbetrag'
+        },
+        errors: {
+            TYPE_MISMATCH: 'Falscher Parametertyp', OVERFLOW: 'Überlauf', NEGATIVE_ROOT: 'Negative Wurzel',
+            DIVISION_BY_ZERO: 'Division durch Null', INVALID_EXPRESSION: 'Ungültiger Ausdruck', NOT_DEFINED: 'Nicht definiert',
+            OUT_OF_RANGE: 'Außerhalb des Bereichs', INVALID_CHARACTER: 'Ungültiges Zeichen', INVALID_NUMBER: 'Ungültige Zahl',
+            UNEXPECTED_OPERATOR: 'Unerwarteter Operator', UNEXPECTED_TOKEN: 'Unerwartetes Element',
+            UNBALANCED_PARENTHESIS: 'Klammern nicht ausgeglichen', UNKNOWN_FUNCTION: 'Unbekannte Funktion',
+            UNKNOWN_VARIABLE: 'Unbekannte Variable', INVALID_VARIABLE: 'Variable ist keine Zahl',
+            STACK_UNDERFLOW: 'Stapelunterlauf', INCOMPATIBLE_UNITS: 'Inkompatible Einheiten',
+            INVALID_DATE: 'Ungültiges Datum oder ungültige Zeit'
+        }
+    },
+    fr: {
+        ui: {
+            calculator: 'Calculatrice', icon: 'Ouvrir la calculatrice', memory: 'Registres mémoire', history: 'Historique',
+            csv: 'Exporter en CSV', text: 'Exporter en texte', clear: 'Effacer l\'historique',
+            addRegister: 'Ajouter un registre', error: 'Erreur'
+        },
+        keys: {
+            'AC': 'Tout effacer', '⌫': 'Effacer', '(': 'Parenthèse ouvrante', ')': 'Parenthèse fermante', 'mod': 'Modulo',
+            '+': 'Plus', '-': 'Moins', '×': 'Fois', '÷': 'Divisé par', '=': 'Égal', '↵': 'Reporter dans le champ',
+            '±': 'Changer de signe', '%': 'Pour cent', 'n!': 'Factorielle', 'x²': 'Carré', '√': 'Racine carrée',
+            '1/x': 'Inverse', 'π': 'Pi', separator: 'Séparateur décimal',
+            'MR': 'Rappel mémoire', 'MS': 'Mettre en mémoire', 'MC': 'Effacer la mémoire',
+            'M+': 'Ajouter à la mémoire', 'M-': 'Soustraire de la mémoire',
+            'DEG': 'Unité d\'angle degrés', 'RAD': 'Unité d\'angle radians', 'GRAD': 'Unité d\'angle grades',
+            '2nd': 'Fonctions secondaires', 'EE': 'Exposant', 'e': 'Nombre d\'Euler',
+            'sin⁻¹': 'Arc sinus', 'cos⁻¹': 'Arc cosinus', 'tan⁻¹': 'Arc tangente',
+            'sinh⁻¹': 'Argument sinus hyperbolique', 'cosh⁻¹': 'Argument cosinus hyperbolique',
+            'tanh⁻¹': 'Argument tangente hyperbolique',
+            'ln': 'Logarithme naturel', 'log': 'Logarithme', 'log₂': 'Logarithme binaire',
+            'eˣ': 'e puissance x', '10ˣ': '10 puissance x', '2ˣ': '2 puissance x',
+            'xʸ': 'Puissance', 'ʸ√x': 'Racine', 'x³': 'Cube', '∛x': 'Racine cubique',
+            '|x|': 'Valeur absolue', '⌊x⌋': 'Arrondi inférieur', '⌈x⌉': 'Arrondi supérieur', 'rnd': 'Arrondi',
+            'RATE': 'Taux de TVA', '+VAT': 'Ajouter la TVA', '-VAT': 'Retirer la TVA', 'VAT': 'Montant de la TVA',
+            'MU': 'Majoration', 'MG': 'Marge', 'MU%': 'Majoration en pour cent', 'MG%': 'Marge en pour cent',
+            'Δ%': 'Variation en pour cent', 'FV': 'Valeur future', 'PMT': 'Mensualité',
+            '&': 'Et', '|': 'Ou', '^': 'Ou exclusif', '~': 'Non', '<<': 'Décalage à gauche', '>>': 'Décalage à droite',
+            'BYTE': 'Taille de mot octet', 'WORD': 'Taille de mot mot', 'DWORD': 'Taille de mot double mot',
+            'QWORD': 'Taille de mot quadruple mot'
+        },
+        prompts: {
+            'Cost': 'Coût', 'Markup %': 'Majoration %', 'Margin %': 'Marge %', 'Price': 'Prix',
+            'Old value': 'Ancienne valeur', 'New value': 'Nouvelle valeur', 'Principal': 'Capital',
+            'Interest % p.a.': 'Intérêt % p.a.', 'Years': 'Années', 'Periods per year': 'Périodes par an',
+            'Loan amount': 'Montant du prêt'
+        },
+        errors: {
+            TYPE_MISMATCH: 'Type de paramètre incorrect', OVERFLOW: 'Dépassement de capacité', NEGATIVE_ROOT: 'Racine négative',
+            DIVISION_BY_ZERO: 'Division par zéro', INVALID_EXPRESSION: 'Expression invalide', NOT_DEFINED: 'Non défini',
+            OUT_OF_RANGE: 'Hors limites', INVALID_CHARACTER: 'Caractère invalide', INVALID_NUMBER: 'Nombre invalide',
+            UNEXPECTED_OPERATOR: 'Opérateur inattendu', UNEXPECTED_TOKEN: 'Élément inattendu',
+            UNBALANCED_PARENTHESIS: 'Parenthèses non équilibrées', UNKNOWN_FUNCTION: 'Fonction inconnue',
+            UNKNOWN_VARIABLE: 'Variable inconnue', INVALID_VARIABLE: 'La variable n\'est pas un nombre',
+            STACK_UNDERFLOW: 'Pile vide', INCOMPATIBLE_UNITS: 'Unités incompatibles', INVALID_DATE: 'Date ou heure invalide'
+        }
+    },
+    it: {
+        ui: {
+            calculator: 'Calcolatrice', icon: 'Apri la calcolatrice', memory: 'Registri di memoria', history: 'Cronologia',
+            csv: 'Esporta come CSV', text: 'Esporta come testo', clear: 'Cancella la cronologia',
+            addRegister: 'Aggiungi registro', error: 'Errore'
+        },
+        keys: {
+            'AC': 'Cancella tutto', '⌫': 'Cancella', '(': 'Parentesi aperta', ')': 'Parentesi chiusa', 'mod': 'Modulo',
+            '+': 'Più', '-': 'Meno', '×': 'Per', '÷': 'Diviso', '=': 'Uguale', '↵': 'Inserisci nel campo',
+            '±': 'Cambia segno', '%': 'Percento', 'n!': 'Fattoriale', 'x²': 'Quadrato', '√': 'Radice quadrata',
+            '1/x': 'Reciproco', 'π': 'Pi greco', separator: 'Separatore decimale',
+            'MR': 'Richiama memoria', 'MS': 'Memorizza', 'MC': 'Cancella memoria',
+            'M+': 'Aggiungi alla memoria', 'M-': 'Sottrai dalla memoria',
+            'DEG': 'Unità angolare gradi', 'RAD': 'Unità angolare radianti', 'GRAD': 'Unità angolare gradi centesimali',
+            '2nd': 'Funzioni secondarie', 'EE': 'Esponente', 'e': 'Numero di Eulero',
+            'sin⁻¹': 'Arcoseno', 'cos⁻¹': 'Arcocoseno', 'tan⁻¹': 'Arcotangente',
+            'sinh⁻¹': 'Settore seno iperbolico', 'cosh⁻¹': 'Settore coseno iperbolico', 'tanh⁻¹': 'Settore tangente iperbolica',
+            'ln': 'Logaritmo naturale', 'log': 'Logaritmo', 'log₂': 'Logaritmo binario',
+            'eˣ': 'e elevato a x', '10ˣ': '10 elevato a x', '2ˣ': '2 elevato a x',
+            'xʸ': 'Potenza', 'ʸ√x': 'Radice', 'x³': 'Cubo', '∛x': 'Radice cubica',
+            '|x|': 'Valore assoluto', '⌊x⌋': 'Arrotonda per difetto', '⌈x⌉': 'Arrotonda per eccesso', 'rnd': 'Arrotonda',
+            'RATE': 'Aliquota IVA', '+VAT': 'Aggiungi IVA', '-VAT': 'Scorpora IVA', 'VAT': 'Importo IVA',
+            'MU': 'Ricarico', 'MG': 'Margine', 'MU%': 'Ricarico percentuale', 'MG%': 'Margine percentuale',
+            'Δ%': 'Variazione percentuale', 'FV': 'Valore futuro', 'PMT': 'Rata del prestito',
+            '&': 'E', '|': 'O', '^': 'O esclusivo', '~': 'Non', '<<': 'Scorrimento a sinistra', '>>': 'Scorrimento a destra',
+            'BYTE': 'Dimensione parola byte', 'WORD': 'Dimensione parola word', 'DWORD': 'Dimensione parola doppia',
+            'QWORD': 'Dimensione parola quadrupla'
+        },
+        prompts: {
+            'Cost': 'Costo', 'Markup %': 'Ricarico %', 'Margin %': 'Margine %', 'Price': 'Prezzo',
+            'Old value': 'Valore precedente', 'New value': 'Nuovo valore', 'Principal': 'Capitale',
+            'Interest % p.a.': 'Interesse % annuo', 'Years': 'Anni', 'Periods per year': 'Periodi per anno',
+            'Loan amount': 'Importo del prestito'
+        },
+        errors: {
+            TYPE_MISMATCH: 'Tipo di parametro errato', OVERFLOW: 'Overflow', NEGATIVE_ROOT: 'Radice negativa',
+            DIVISION_BY_ZERO: 'Divisione per zero', INVALID_EXPRESSION: 'Espressione non valida', NOT_DEFINED: 'Non definito',
+            OUT_OF_RANGE: 'Fuori intervallo', INVALID_CHARACTER: 'Carattere non valido', INVALID_NUMBER: 'Numero non valido',
+            UNEXPECTED_OPERATOR: 'Operatore inatteso', UNEXPECTED_TOKEN: 'Elemento inatteso',
+            UNBALANCED_PARENTHESIS: 'Parentesi non bilanciate', UNKNOWN_FUNCTION: 'Funzione sconosciuta',
+            UNKNOWN_VARIABLE: 'Variabile sconosciuta', INVALID_VARIABLE: 'La variabile non è un numero',
+            STACK_UNDERFLOW: 'Stack vuoto', INCOMPATIBLE_UNITS: 'Unità incompatibili', INVALID_DATE: 'Data o ora non valida'
+        }
+    }
+};
+
+// the separator key is labeled by the locale (see decimalSeparator)
+const [MODULO, OPERATORS, FUNCTIONS, , BRACKET_OPEN, BRACKET_CLOSE] = ASSETS.mathOps;
+// inline mode: the pod is part of the container's layout and its columns share the available width
+const INLINE_STYLE = {
+    position: 'relative',
+    top: 'auto',
+    left: 'auto',
+    transform: 'none',
+    width: '100%',
+    gridTemplateColumns: 'repeat(var(--calc-columns, 5), minmax(0, 1fr))'
+};
+/** @type {string[]} Available key layouts */
+const CALCULATOR_LAYOUTS = ['standard', 'scientific', 'financial', 'programmer'];
+/** @type {Object<string, number>} Constant keys → value */
+const MATH_CONSTANTS = { 'π': Math.PI, 'e': Math.E };
+/** @type {Object<string, string>} Captions of the angle unit key → angle unit of the Parser */
+const ANGLE_UNITS = { DEG: 'deg', RAD: 'rad', GRAD: 'grad' };
+/** @type {Object<string, function(string): string>} Scientific function keys → Parser term of the operand */
+const SCIENTIFIC_FUNCTIONS = {
+    'sin':    x => `sin(${x})`,
+    'cos':    x => `cos(${x})`,
+    'tan':    x => `tan(${x})`,
+    'sin⁻¹':  x => `asin(${x})`,
+    'cos⁻¹':  x => `acos(${x})`,
+    'tan⁻¹':  x => `atan(${x})`,
+    'sinh':   x => `sinh(${x})`,
+    'cosh':   x => `cosh(${x})`,
+    'tanh':   x => `tanh(${x})`,
+    'sinh⁻¹': x => `asinh(${x})`,
+    'cosh⁻¹': x => `acosh(${x})`,
+    'tanh⁻¹': x => `atanh(${x})`,
+    'ln':     x => `ln(${x})`,
+    'log':    x => `log(${x})`,
+    'log₂':   x => `log2(${x})`,
+    'eˣ':     x => `e^(${x})`,
+    '10ˣ':    x => `10^(${x})`,
+    '2ˣ':     x => `2^(${x})`,
+    'x³':     x => `(${x})³`,
+    '∛x':     x => `cbrt(${x})`,
+    '|x|':    x => `abs(${x})`,
+    '⌊x⌋':    x => `floor(${x})`,
+    '⌈x⌉':    x => `ceil(${x})`,
+    'rnd':    x => `round(${x})`
+};
+/** @type {Object<string, string>} Captions of the scientific keys while "2nd" is active */
+const SCIENTIFIC_INVERSE = {
+    'sin': 'sin⁻¹', 'cos': 'cos⁻¹', 'tan': 'tan⁻¹', 'sinh': 'sinh⁻¹', 'cosh': 'cosh⁻¹', 'tanh': 'tanh⁻¹',
+    'ln': 'eˣ', 'log': '10ˣ', 'log₂': '2ˣ', 'xʸ': 'ʸ√x', 'x³': '∛x', '⌊x⌋': '⌈x⌉'
+};
+/** @type {Object<string, string>} Binary scientific keys → operator shown in the display */
+const SCIENTIFIC_OPERATORS = { 'xʸ': '^', 'ʸ√x': ' root ' };
+/** @type {Array<{label: string, rate: number}>} Default VAT presets of the financial layout */
+const VAT_PRESETS = [
+    { label: 'CH', rate: 8.1 },
+    { label: 'DE', rate: 19 },
+    { label: 'DE', rate: 7 },
+    { label: 'AT', rate: 20 }
+];
+/**
+ * Financial functions with guided input: prompt of each input, optional defaults and the computation.
+ * Rates are given in percent, PMT is the monthly payment of an annuity loan.
+ * @type {Object<string, {prompts: string[], defaults?: number[], compute: function(...number): number}>}
+ */
+const FINANCIAL_GUIDES = {
+    'MU':  { prompts: ['Cost', 'Markup %'], compute: (cost, markup) => cost * (1 + markup / 100) },
+    'MG':  { prompts: ['Cost', 'Margin %'], compute: (cost, margin) => (margin < 100) ? cost / (1 - margin / 100) : NaN },
+    'MU%': { prompts: ['Cost', 'Price'], compute: (cost, price) => (price - cost) / cost * 100 },
+    'MG%': { prompts: ['Cost', 'Price'], compute: (cost, price) => (price - cost) / price * 100 },
+    'Δ%':  { prompts: ['Old value', 'New value'], compute: (from, to) => (to - from) / from * 100 },
+    'FV':  {
+        prompts: ['Principal', 'Interest % p.a.', 'Years', 'Periods per year'],
+        defaults: [0, 0, 0, 1],
+        compute: (principal, rate, years, periods) => principal * Math.pow(1 + rate / 100 / periods, periods * years)
+    },
+    'PMT': {
+        prompts: ['Loan amount', 'Interest % p.a.', 'Years'],
+        compute: (amount, rate, years) => {
+            const r = rate / 1200, n = years * 12;
+            return (r === 0) ? amount / n : amount * r / (1 - Math.pow(1 + r, -n));
+        }
+    }
+};
+/** @type {Object<string, string>} Keyboard keys → scientific keys (base captions) */
+const SCIENTIFIC_KEYS = {
+    s: 'sin', o: 'cos', t: 'tan', n: 'ln', l: 'log', e: 'e', E: 'EE',
+    '^': 'xʸ', y: 'xʸ', '#': 'x³', '|': '|x|', i: '2nd', d: 'DEG'
+};
+/** @type {string} Binary operators of the programmer layout (as shown in the display) */
+const PROGRAMMER_OPERATORS = '&|^<<>>';
+/** @type {Object<string, string>} Keyboard keys → programmer operator keys */
+const PROGRAMMER_KEYS = { '&': '&', '|': '|', '^': '^', '~': '~', '<': '<<', '>': '>>' };
+/** @type {string[]} Keys without meaning for integers (disabled in programmer layout) */
+const DECIMAL_KEYS = ['π', '√', 'x²', '1/x', '%', 'n!'];
+/** @type {Object<number, string>} Literal prefix of each base for the Parser */
+const RADIX_PREFIXES = { 16: '0x', 10: '', 8: '0o', 2: '0b' };
+/** @type {Object<string, number>} Word size key captions → bits */
+const WORD_SIZES = { BYTE: 8, WORD: 16, DWORD: 32, QWORD: 64 };
+/** @type {string[]} Keys of each register in the memory panel */
+const MEMORY_KEYS = ['MS', 'MR', 'M+', 'M-', 'MC'];
+/** @type {Array<[RegExp, string]>} Display notations of unary functions → expressions the Parser reads */
+const RECALL_NOTATIONS = [[/^fact\((.*)\)$/, '($1)!'], [/^reciproc\((.*)\)$/, '1÷($1)']];
+/** @type {string[]} Keys moving the caret of the expression line */
+const CARET_KEYS = ['ArrowLeft', 'ArrowRight', 'Home', 'End'];
+/** @type {string[]} Multi-character operators the caret skips and Backspace/Delete remove as a whole */
+const EDIT_TOKENS = [MODULO, SCIENTIFIC_OPERATORS['ʸ√x'], '<<', '>>'];
+/** @type {string[]} Reason codes of ASSETS.errors (same order), the keys of their translations in MESSAGES */
+const ERROR_CODES = ['TYPE_MISMATCH', 'OVERFLOW', 'NEGATIVE_ROOT', 'DIVISION_BY_ZERO', 'INVALID_EXPRESSION', 'NOT_DEFINED', 'OUT_OF_RANGE'];
+const [ERR_TYPEMISMATCH, ERR_OVERFLOW, ERR_NEGATIVE_ROOT, ERR_DIV_BY_ZERO, ERR_INVALID_EXP, ERR_UNDEFINED, ERR_RANGE] = ASSETS.errors;
\ No newline at end of file
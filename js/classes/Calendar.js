@@ -1,37 +1,53 @@
 import $ from '../utils.js';
-import { isHoliday as _isHoliday, getEasterSunday, getFirstDayOfISOWeek, OBJ_HOLIDAYS } from '../dateutils.js';
+import { parse, isHoliday as _isHoliday, isWorkday, getEasterSunday, getFirstDayOfISOWeek, OBJ_HOLIDAYS } from '../dateutils.js';
+import { parseICS, expandEvents, toICS } from '../icalendar.js';
 import Library from './Library.js';
 
 /**
  * @file Calendar.js
  * @module Calendar
  * @extends Library
- * @version 1.0.0
+ * @version 1.5.0
  * @author Jens-Olaf-Mueller
  *
- * Calendar - A universal, localized month-view calendar component.
+ * Calendar - A universal, localized month-, week- and year-view calendar component.
  * ===============================================================
  *
  * Displays a grid-based month view with week numbers, holidays, and integrated settings.
  * - Key Features:
  * - Localized View: Supports internationalization for weekdays and month names via `country` codes.
  * - Holiday Support: Highlights holidays (DACH region) using internal date utilities.
+ * - Selection Modes: Single date, date range (across month boundaries, with workday count) or multiple dates.
+ * - Event Overlay: Shows own appointments from an array or an async provider as colored dots with tooltip.
+ * - iCalendar: Imports .ics files (incl. recurrences) into the overlay, exports the selection or holidays as .ics.
+ * - Views: Month grid (default), week with ISO week header, or year overview with 12 mini-months (click drills down).
+ * - Buddy Mode: Connected to an <input> (element, ID or `data-calendar="true"`) the calendar opens as a popover
+ *   below it, reads and writes its value in the {@link format} pattern (see `format$`, `mm/dd/yyyy` round-trips)
+ *   and honors its `min`/`max`.
  * - Persistency: Saves and loads user preferences like country and year-picker visibility from localStorage.
  * - Collapsible UI: Features an animated dropdown and settings overlay.
  *
  * ---------------------------------------------------------------
  * I. Public Methods
  * ---------------------------------------------------------------
- * - {@link update}             - Renders the current month into the calendar body grid.
+ * - {@link update}             - Renders the current month, week or year into the calendar body grid.
  * - {@link dateAdd}            - Adds a specified number of days to a date.
  * - {@link getEasterSunday}    - Calculates Easter Sunday for a given year.
  * - {@link isHoliday}          - Checks if a specific date is a holiday in the given state/country.
  * - {@link getISOWeek}         - Calculates the ISO week number for a date.
  * - {@link getFirstDayOfISOWeek} - Returns the Monday of a specific ISO week.
+ * - {@link clearSelection}     - Removes all selected dates and range highlights.
+ * - {@link eventsOf}           - Returns the event entries of a given date.
+ * - {@link importICS}          - Imports the events of an .ics file or string into the event overlay.
+ * - {@link exportICS}          - Returns the selected dates or range as .ics content.
+ * - {@link exportHolidays}     - Returns all holidays of a year for the current country/state as .ics content.
+ * - {@link downloadICS}        - Offers .ics content as a file download.
+ * - {@link show}               - Opens the calendar as a popover for its buddy input.
+ * - {@link hide}               - Closes the popover and returns the focus to the buddy.
  * - {@link toggleOpen}         - Toggles the collapsed/expanded state of the calendar.
  * - {@link toggleSettings}     - Switches between the calendar view and the settings menu.
  * - {@link updateStates}       - Updates the state/region dropdown based on the selected country.
- * - {@link onHeaderClick}      - Handles month and year navigation via header buttons.
+ * - {@link onHeaderClick}      - Handles month (week, year) and year navigation via header buttons.
  * - {@link onBodyClick}        - Handles selection of dates and week numbers in the body grid.
  *
  * ---------------------------------------------------------------
@@ -39,17 +55,35 @@ import Library from './Library.js';
  * ---------------------------------------------------------------
  * - #loadSettings()            - Retrieves stored user settings from localStorage.
  * - #saveSettings()            - Persists current settings to localStorage.
- * - #changeDatePart()          - Logic for shifting months or years.
+ * - #changeDatePart()          - Logic for shifting weeks, months or years.
+ * - #renderMonth()             - Renders the month grid with week numbers.
+ * - #renderWeek()              - Renders the current week with its ISO week header.
+ * - #renderYear()              - Renders the 12 mini-months of the year view.
+ * - #drillDown()               - Switches from the year view to the month of a clicked date.
+ * - #autoScanBuddies()         - Connects all inputs with `data-calendar="true"`.
+ * - #injectBuddyIcon()         - Injects the calendar icon as trigger next to a buddy input.
+ * - #positionPopover()         - Anchors the popover below the buddy.
+ * - #handleDismiss()           - Closes the popover on Escape or a click outside.
+ * - #inLimits()                - Checks a date against the buddy's min/max.
+ * - #buddyPattern()            - Returns the format pattern of the buddy.
+ * - #readBuddy()               - Reads the buddy's value in its format pattern.
+ * - #writeBuddy()              - Writes the selected date into the buddy and closes the popover.
  * - #showFullDate()            - Formats and displays the selected date in the footer.
+ * - #selectDate()              - Adds a clicked date to the selection according to {@link selectionMode}.
+ * - #markSelection()           - Highlights selected dates and range spans in the visible grid.
+ * - #showRange()               - Displays the selected range with day and workday count in the footer.
+ * - #loadEvents()              - Fetches the entries of the visible range from the {@link events} source.
+ * - #renderEvents()            - Groups the entries per day and renders dots and tooltips into the cells.
  * - #startOfWeek()             - Calculates the Monday of the week containing a specific date.
  * - #applyOpenState()          - Handles the CSS transitions for expanding/collapsing the component.
  *
  * ---------------------------------------------------------------
  * III. Events
  * ---------------------------------------------------------------
- * @event calendarupdate {@link CalendarUpdateEvent} - Fires when the displayed month or year is changed.
+ * @event calendarupdate {@link CalendarUpdateEvent} - Fires when the displayed week, month or year is changed.
  * @event ondateclick {@link CalendarDateEvent}      - Fires when a specific date cell is clicked.
  * @event onweekclick {@link CalendarWeekEvent}      - Fires when a week number cell is clicked.
+ * @event rangeselect {@link CalendarRangeEvent}     - Fires when the end of a range has been clicked (selectionMode 'range').
  * @event expand {@link CalendarEvent}               - Fires when the calendar is opened.
  * @event collapse {@link CalendarEvent}             - Fires when the calendar is closed.
  *
@@ -63,6 +97,9 @@ import Library from './Library.js';
  * - --cal-footer-color         - Background color for the date display at the bottom.
  * - --cal-highlight-color      - Background color for current date or hovered cells.
  * - --cal-accent-color         - Primary accent color (e.g. for the selected date).
+ * - --cal-range-color          - Background color for days between range start and end.
+ * - --cal-event-color          - Default color of the event dots (overridden by an entry's `color`).
+ * - --cal-icon-color           - Color of the buddy icon next to connected inputs.
  * - --cal-sunday-color         - Text color for Sundays and holidays.
  * - --cal-disabled-color       - Color for dates outside the current month.
  * - --cal-calendar-drop-size   - Size of the dropdown toggle button.
@@ -99,6 +136,61 @@ export class Calendar extends Library {
     get year() { return this.currentDate.getFullYear(); }
     get firstOfMonth() { return new Date(this.year, this.month, 1); }
 
+    /**
+     * Current view of the calendar body:
+     * - 'month' → 8 columns month grid with week numbers (default)
+     * - 'week'  → 7 columns of the current week below an ISO week header
+     * - 'year'  → 12 mini-months with holidays; a click drills down into the month
+     * The month buttons of the header step by the unit of the view (week, month or year).
+     */
+    #view = 'month';
+    get view() { return this.#view; }
+    set view(view) {
+        if (!Object.keys(CALENDAR_VIEWS).includes(view) || view === this.#view) return;
+        this.#view = view;
+        if (!this.created) return;
+        this.update();
+        // the body height differs per view: refresh the height of an opened calendar
+        if (this.#open && this.#_collapsible) this.#_collapsible.style.maxHeight = `${this.#_collapsible.scrollHeight}px`;
+    }
+
+    #buddy = null;
+    /**
+     * Gets or sets the connected input element (buddy) of type "text" or "date".
+     * A buddy turns the calendar into a popover that opens below the input.
+     * @type {HTMLInputElement|null}
+     */
+    set buddy(element) {
+        const input = (typeof element === 'string') ? $(element) : element;
+        const resolved = (input instanceof HTMLInputElement && ['text', 'date'].includes(input.type)) ? input : null;
+        if (!resolved) return;
+        this.#buddy = resolved;
+        if (!this.created) return;
+        // Upgrade manual buddy to data-calendar status
+        if (this.#buddy.dataset.calendar !== 'true') this.#buddy.dataset.calendar = 'true';
+        this.#injectBuddyIcon(this.#buddy);
+        // the popover is positioned relative to the document
+        if (this.rootElement.parentElement !== document.body) document.body.appendChild(this.rootElement);
+        Object.assign(this.rootElement.style, POPOVER_STYLE);
+        this.rootElement.toggleAttribute('hidden', !this.visible);
+    }
+    get buddy() { return this.#buddy; }
+
+    #format = 'dd.mm.yyyy';
+    /**
+     * Pattern of `format$` for the date read from and written back to the buddy.
+     * A buddy overrides it with `data-calendar-format`, inputs of type "date" always get 'yyyy-mm-dd'.
+     * Reading understands the tokens yyyy, mmmm, mm, m, dddd, ddd, dd and d (time tokens are skipped);
+     * a value not matching the pattern is read by `dateutils.parse()` (d-m-y or y-m-d).
+     * @type {string}
+     */
+    get format() { return this.#format; }
+    set format(pattern) {
+        if (typeof pattern === 'string' && pattern.trim()) this.#format = pattern;
+    }
+
+    #limits = { min: null, max: null }; // min/max of the buddy while the popover is open
+
     #showYear = true;
     get showYear() { return this.#showYear; }
     set showYear(flag) {
@@ -127,11 +219,56 @@ export class Calendar extends Library {
         this.DOM.btnCalendarSettings?.toggleAttribute('hidden', !this.#showSettings);
     }
 
+    /**
+     * How clicks on date cells are handled:
+     * - 'single'   → one date (default)
+     * - 'range'    → first click sets the start, second click the end of the range
+     * - 'multiple' → each click toggles a date
+     * Changing the mode clears the current selection.
+     */
+    #selectionMode = 'single';
+    get selectionMode() { return this.#selectionMode; }
+    set selectionMode(mode) {
+        if (!SELECTION_MODES.includes(mode) || mode === this.#selectionMode) return;
+        this.#selectionMode = mode;
+        this.clearSelection();
+    }
+
+    #selection = []; // selected dates, in range mode [start, end]
+    get selectedDates() { return [...this.#selection]; }
+
+    /**
+     * Data source for the event overlay. Either an array of entries or a (async) provider
+     * function, which is called on every update() with the first and last visible date
+     * and returns (or resolves to) an array of entries.
+     * An entry needs at least a `date` (Date or parsable string) and a `title`;
+     * optional are `end` (last day of a multi-day entry) and `color`.
+     * @type {CalendarEntry[]|function(Date, Date): (CalendarEntry[]|Promise<CalendarEntry[]>)|null}
+     */
+    #events = null;
+    get events() { return this.#events; }
+    set events(source) {
+        this.#events = (Array.isArray(source) || typeof source === 'function') ? source : null;
+        if (this.created) this.update();
+    }
+
+    #imported = [];         // events read by importICS(), expanded on every update()
+    #entries = new Map();   // entries of the visible range per day (key: Date.toDateString())
+    #eventsRequest = 0;     // counter to discard outdated provider results
+
     #settingsOpen = false; // default
     #_collapsible = null;  // NEW: ref to wrapper
     #_dropBtn = null;      // NEW: ref to arrow button
 
 
+    /**
+     * @param {Date|string} [date=new Date()] - Initially displayed date.
+     * @param {HTMLElement|string} [parent=document.body] - Container the calendar is rendered into.
+     * @param {Object} [init] - Initial settings.
+     * @param {string} [init.country='de-CH'] - Country for names and holidays.
+     * @param {string} [init.state='Zug'] - State/canton for the regional holidays.
+     * @param {HTMLInputElement|string} [init.buddy] - Input element (or its ID) to connect, see {@link buddy}.
+     */
     constructor(date = new Date(), parent = document.body, init = { country: 'de-CH', state: 'Zug' }) {
         super(parent);
         this.currentDate = date;
@@ -146,6 +283,8 @@ export class Calendar extends Library {
         this.#loadSettings();
         this.update();
         this.#showFullDate(date);
+        if (init.buddy) this.buddy = init.buddy;
+        this.#autoScanBuddies();
         console.log(this);
     }
 
@@ -155,13 +294,38 @@ export class Calendar extends Library {
     update() {
         const picker = this.DOM.divCalendarBody;
         picker.innerHTML = '';
+        picker.dataset.view = this.#view;
+        Object.assign(picker.style, CALENDAR_VIEWS[this.#view]);
         // Update captions
         this.DOM.h2_CalendarCaption.textContent = `Kalender ${this.year}`;
-        this.DOM.h2_Month.textContent = `${this.firstOfMonth.toLocaleString(this.country,{ month: 'long' })}`;
+        if (this.#view === 'week') this.DOM.h2_Month.textContent = `KW ${this.getISOWeek(this.currentDate)}`;
+        else if (this.#view === 'year') this.DOM.h2_Month.textContent = `${this.year}`;
+        else this.DOM.h2_Month.textContent = `${this.firstOfMonth.toLocaleString(this.country,{ month: 'long' })}`;
         this.DOM.h2_Year.textContent = `${this.year}`;
 
+        let range;
+        if (this.#view === 'year') range = this.#renderYear(picker);
+        else if (this.#view === 'week') range = this.#renderWeek(picker);
+        else range = this.#renderMonth(picker);
+
+        this.cells = $('.calendar-cell[data-date]', true); // update cells
+        // dates outside the buddy's min/max
+        this.cells.forEach((cell) => {
+            const date = new Date(cell.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3'));
+            if (!this.#inLimits(date)) cell.setAttribute('disabled', '');
+        });
+        this.#markSelection();
+        this.#loadEvents(...range);
+    }
+
+    /**
+     * Renders the month grid: header row, week numbers and 6 weeks of days.
+     * @returns {Date[]} first and last visible date
+     */
+    #renderMonth(picker) {
         // Start at first visible date (Monday of first row)
         let datum = this.#startOfWeek(this.firstOfMonth);
+        const firstVisible = new Date(datum);
 
         for (let d = 0; d < 56; d++) {
             const cell = this.createElement('div', { class: 'calendar-cell' });
@@ -200,8 +364,210 @@ export class Calendar extends Library {
                 datum = this.dateAdd(1, datum);
             }
         }
+        return [firstVisible, this.dateAdd(-1, datum)];
+    }
 
-        this.cells = $('.calendar-cell[data-date]', true); // update cells
+    /**
+     * Renders the week of the current date: ISO week header, weekday row and 7 day cells.
+     * @returns {Date[]} first and last visible date
+     */
+    #renderWeek(picker) {
+        const monday = this.#startOfWeek(this.currentDate);
+        const sunday = this.dateAdd(6, monday);
+        const format = { day: 'numeric', month: 'long', year: 'numeric' };
+        picker.appendChild(this.createElement('div', {
+            class: 'calendar-cell calendar-week-title',
+            'data-week': this.getISOWeek(monday),
+            textContent: `KW ${this.getISOWeek(monday)}: ${monday.toLocaleDateString(this.country, format)} – ${sunday.toLocaleDateString(this.country, format)}`
+        }));
+
+        for (let d = 0; d < 7; d++) {
+            const datum = this.dateAdd(d, monday);
+            const cell = this.createElement('div', {
+                class: 'calendar-cell',
+                textContent: datum.toLocaleString(this.country, { weekday: 'short' })
+            });
+            cell.setAttribute('data-column','');
+            picker.appendChild(cell);
+        }
+        for (let d = 0; d < 7; d++) {
+            const datum = this.dateAdd(d, monday);
+            const holiday = this.isHoliday(datum);
+            const cell = this.createElement('div', { class: 'calendar-cell', textContent: datum.getDate() });
+            cell.dataset.date = datum.toLocaleDateString(this.country);
+            if (datum.toDateString() === new Date().toDateString()) cell.classList.add('current-day');
+            if (holiday || datum.getDay() === 0) cell.classList.add('sunday');
+            if (holiday) cell.dataset.holiday = holiday;
+            picker.appendChild(cell);
+        }
+        return [monday, sunday];
+    }
+
+    /**
+     * Renders the year overview: 12 mini-months with Sundays, holidays and today marked.
+     * The month of the current date is highlighted.
+     * @returns {Date[]} first and last day of the year
+     */
+    #renderYear(picker) {
+        const today = new Date().toDateString();
+        for (let m = 0; m < 12; m++) {
+            const first = new Date(this.year, m, 1);
+            const mini = this.createElement('div', { class: 'calendar-mini', 'data-month': m });
+            mini.classList.toggle('current-month', m === this.month);
+            const grid = this.createElement('div', { class: 'calendar-mini-grid' });
+            mini.append(
+                this.createElement('div', {
+                    class: 'calendar-mini-title',
+                    textContent: first.toLocaleString(this.country, { month: 'long' })
+                }),
+                grid
+            );
+            // weekday initials, starting on Monday
+            for (let d = 0; d < 7; d++) {
+                const datum = this.dateAdd(d, this.#startOfWeek(first));
+                grid.appendChild(this.createElement('div', {
+                    class: 'calendar-mini-head',
+                    textContent: datum.toLocaleString(this.country, { weekday: 'narrow' })
+                }));
+            }
+            // empty cells up to the first weekday of the month
+            for (let d = 0; d < (first.getDay() + 6) % 7; d++) grid.appendChild(this.createElement('div'));
+
+            for (let datum = first; datum.getMonth() === m; datum = this.dateAdd(1, datum)) {
+                const holiday = this.isHoliday(datum);
+                const day = this.createElement('div', {
+                    class: 'calendar-mini-day',
+                    textContent: datum.getDate(),
+                    title: holiday
+                });
+                day.dataset.date = datum.toLocaleDateString(this.country);
+                if (holiday || datum.getDay() === 0) day.classList.add('sunday');
+                if (datum.toDateString() === today) day.classList.add('current-day');
+                grid.appendChild(day);
+            }
+            picker.appendChild(mini);
+        }
+        return [new Date(this.year, 0, 1), new Date(this.year, 11, 31)];
+    }
+
+    /**
+     * Returns the event entries of the given date (only dates of the visible range are known).
+     * @param {Date|string} date
+     * @returns {CalendarEntry[]}
+     */
+    eventsOf(date) {
+        const day = parse(date);
+        return day ? [...(this.#entries.get(day.toDateString()) ?? [])] : [];
+    }
+
+    /**
+     * Imports the events of an iCalendar file into the event overlay.
+     * Recurring events are expanded for the visible range on every update().
+     * @param {string|File|Blob} source Content of an .ics file or the file itself
+     * @param {boolean} [append=false] Keep previously imported events
+     * @returns {Promise<number>} number of imported events
+     */
+    async importICS(source, append = false) {
+        const text = (typeof source?.text === 'function') ? await source.text() : String(source ?? '');
+        const events = parseICS(text);
+        this.#imported = append ? [...this.#imported, ...events] : events;
+        this.update();
+        return events.length;
+    }
+
+    /**
+     * Returns the current selection as iCalendar content:
+     * a range as one all-day event, single or multiple dates as one event per day.
+     * @param {string} [title='Auswahl'] Summary of the exported events
+     * @returns {string} .ics content (empty calendar if nothing is selected)
+     */
+    exportICS(title = 'Auswahl') {
+        const dates = this.selectedDates;
+        const entries = (this.#selectionMode === 'range' && dates.length === 2)
+            ? [{ date: dates[0], end: dates[1], title }]
+            : dates.map(date => ({ date, title }));
+        return toICS(entries);
+    }
+
+    /**
+     * Returns all holidays of a year for the given country and state as iCalendar content.
+     * The UIDs are stable, so a re-import in other applications updates instead of duplicating.
+     * @param {number} [year=this.year]
+     * @param {string} [state=this.state]
+     * @param {string} [country=this.country]
+     * @returns {string} .ics content
+     */
+    exportHolidays(year = this.year, state = this.state, country = this.country) {
+        const entries = [];
+        for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = this.dateAdd(1, date)) {
+            const holiday = this.isHoliday(date, state, country);
+            if (holiday) entries.push({
+                date,
+                title: holiday,
+                categories: 'Feiertag',
+                uid: `${year}-${date.getMonth() + 1}-${date.getDate()}-${state}-${country}@library-2025`.toLowerCase()
+            });
+        }
+        return toICS(entries, { name: `Feiertage ${state} ${year}` });
+    }
+
+    /**
+     * Offers iCalendar content as a file download.
+     * @param {string} content .ics content, e.g. from exportICS() or exportHolidays()
+     * @param {string} [filename='calendar.ics']
+     */
+    downloadICS(content, filename = 'calendar.ics') {
+        const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        this.createElement('a', { href: url, download: filename }).click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Opens the calendar as a popover below its buddy.
+     * The buddy's value (read in its {@link format} pattern) becomes the selected date,
+     * dates outside the buddy's min/max cannot be selected.
+     * @param {HTMLInputElement|string|null} [buddy=null] - Optional input element (or its ID) to connect.
+     */
+    show(buddy = null) {
+        if (buddy !== null) this.buddy = buddy;
+        if (!this.#buddy) return;
+        this.#limits = { min: parse(this.#buddy.min) ?? null, max: parse(this.#buddy.max) ?? null };
+        const date = this.#readBuddy();
+        this.currentDate = date ? new Date(date) : new Date();
+        this.#selection = date ? [new Date(date)] : [];
+        this.update();
+        this.#showFullDate(this.currentDate);
+        super.visible = true;
+        this.#positionPopover();
+        this.open = true;
+
+        if (!this._onDismiss) this._onDismiss = this.#handleDismiss.bind(this);
+        document.addEventListener('pointerdown', this._onDismiss);
+        document.addEventListener('keydown', this._onDismiss);
+    }
+
+    /**
+     * Closes the popover and returns the focus to the buddy.
+     * Does nothing without a buddy.
+     */
+    hide() {
+        if (!this.#buddy) return;
+        this.visible = false;
+        this.#limits = { min: null, max: null };
+        if (this._onDismiss) {
+            document.removeEventListener('pointerdown', this._onDismiss);
+            document.removeEventListener('keydown', this._onDismiss);
+        }
+        if (this.#buddy.isConnected) this.#buddy.focus();
+    }
+
+    /**
+     * Removes all selected dates and range highlights.
+     */
+    clearSelection() {
+        this.#selection = [];
+        this.#markSelection();
     }
 
     /**
@@ -336,13 +702,14 @@ export class Calendar extends Library {
         if (!btn || !this.DOM.divCalendarHead.contains(btn)) return;
         const offset = Number(btn.value) || 0;
 
-        if (btn.id.includes('Month')) this.#changeDatePart(offset, 'month'); // month buttons clicked...
+        if (btn.id.includes('Month')) this.#changeDatePart(offset, (this.#view === 'month') ? 'month' : this.#view); // month buttons clicked...
         if (btn.id.includes('Year')) this.#changeDatePart(offset, 'year');   // year buttons clicked...
     }
 
 
     #changeDatePart(offset = 0, part = 'month') {
         const prev = this.currentDate;
+        if (part === 'week') this.currentDate.setDate(this.currentDate.getDate() + offset * 7);
         if (part === 'month') this.currentDate.setMonth(this.month + offset);
         if (part === 'year') this.currentDate.setFullYear(this.year + offset);
         this.update();
@@ -350,6 +717,23 @@ export class Calendar extends Library {
             date: this.currentDate,
             previousDate: prev,
             week: this.getISOWeek(this.currentDate),
+            view: this.#view
+        });
+    }
+
+    /**
+     * Leaves the year view and shows the month of the given date.
+     * @param {Date} date Clicked day (or first day of the clicked mini-month)
+     */
+    #drillDown(date) {
+        const prev = new Date(this.currentDate);
+        this.currentDate = date;
+        this.view = 'month';
+        this._raiseEvent('calendarupdate', {
+            date: this.currentDate,
+            previousDate: prev,
+            week: this.getISOWeek(this.currentDate),
+            view: this.#view
         });
     }
 
@@ -373,8 +757,14 @@ export class Calendar extends Library {
     onBodyClick(e) {
         let cell = e.target.closest('.calendar-cell[data-date]');
         const week = e.target.closest('.calendar-cell[data-week]');
+        const mini = e.target.closest('.calendar-mini');
 
-        if (week) {
+        if (mini) {
+            const day = e.target.closest('.calendar-mini-day');
+            this.#drillDown(day
+                ? new Date(day.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3'))
+                : new Date(this.year, Number(mini.dataset.month), 1));
+        } else if (week) {
             const weekNo = Number(week.dataset.week);
             const monday = this.getFirstDayOfISOWeek(weekNo);
             this._raiseEvent('onweekclick', {
@@ -385,9 +775,17 @@ export class Calendar extends Library {
         } else if (cell) {
             const dtString = cell.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3');
             const date = new Date(dtString);
+            if (!this.#inLimits(date)) return;
             // if another month (or year!) was clicked...
             let diff = date.getMonth() - this.currentDate.getMonth(); // difference (positive or negative)
-            if (diff) {
+            if (this.#view === 'week') {
+                // the week view shows the whole week: only the captions have to follow
+                this.currentDate = new Date(date);
+                if (diff) {
+                    this.update();
+                    cell = this.cells.find(c => c.dataset.date === cell.dataset.date);
+                }
+            } else if (diff) {
                 // year has also changed by cell-click: December ---> January
                 if (Math.abs(diff) > 1) this.#changeDatePart( diff > 1 ? diff - 12 : diff + 12, 'year');
                 this.#changeDatePart(diff);
@@ -395,9 +793,7 @@ export class Calendar extends Library {
                     c.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3') === dtString
                 );
             }
-            this.cells.forEach((day) => day.classList.remove('date-selected'));
-            cell.classList.add('date-selected');
-            this.#showFullDate(date);
+            this.#selectDate(date);
 
             this._raiseEvent('ondateclick', {
                 date,
@@ -408,8 +804,10 @@ export class Calendar extends Library {
                 week: this.getISOWeek(date),
                 weekday: date.toLocaleString(this.#country, { weekday: 'long' }),
                 monthName: date.toLocaleString(this.#country, { month: 'long' }),
-                holiday: cell.dataset.holiday || ''
+                holiday: cell.dataset.holiday || '',
+                events: this.eventsOf(date)
             });
+            if (this.#buddy && this.visible && this.#selectionMode === 'single') this.#writeBuddy(date);
         }
     }
 
@@ -429,6 +827,265 @@ export class Calendar extends Library {
         this.DOM.inpCalendarFooter.dispatchEvent( new Event('input', { bubbles: true }) );
     }
 
+    /**
+     * Adds the clicked date to the selection according to the current selectionMode.
+     * In range mode the second click completes the range and raises 'rangeselect',
+     * a third click starts a new range.
+     */
+    #selectDate(date) {
+        const key = date.toDateString();
+        if (this.#selectionMode === 'multiple') {
+            const index = this.#selection.findIndex(d => d.toDateString() === key);
+            if (index < 0) this.#selection.push(date);
+            else this.#selection.splice(index, 1);
+        } else if (this.#selectionMode === 'range' && this.#selection.length === 1) {
+            this.#selection = [this.#selection[0], date].sort((a, b) => a - b);
+        } else {
+            this.#selection = [date];
+        }
+        this.#markSelection();
+
+        if (this.#selectionMode === 'range' && this.#selection.length === 2) {
+            const [start, end] = this.#selection;
+            const range = this.#showRange(start, end);
+            this._raiseEvent('rangeselect', { start, end, ...range });
+        } else {
+            this.#showFullDate(date);
+        }
+    }
+
+    /**
+     * Highlights the selected dates in the visible grid.
+     * Range spans are marked on every visible cell, including the days of the adjacent months.
+     */
+    #markSelection() {
+        if (!this.cells) return;
+        const keys = this.#selection.map(d => d.toDateString());
+        const [start, end] = (this.#selectionMode === 'range') ? this.#selection : [];
+        this.cells.forEach((cell) => {
+            const date = new Date(cell.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3'));
+            const key = date.toDateString();
+            cell.classList.toggle('date-selected', keys.includes(key));
+            cell.classList.toggle('range-start', Boolean(end) && key === start.toDateString());
+            cell.classList.toggle('range-end', Boolean(end) && key === end.toDateString());
+            cell.classList.toggle('in-range', Boolean(end) && date > start && date < end);
+        });
+    }
+
+    /**
+     * Displays the range with its number of days and workdays in the footer.
+     * Workdays respect the holidays of the current country and state.
+     * @returns {{days: number, workdays: number}}
+     */
+    #showRange(start, end) {
+        let days = 0, workdays = 0;
+        for (let date = new Date(start); date <= end; date = this.dateAdd(1, date)) {
+            days++;
+            if (isWorkday(date, false, false, this.state, this.country)) workdays++;
+        }
+        const format = { day: 'numeric', month: 'short', year: 'numeric' };
+        const from = start.toLocaleString(this.country, format);
+        const to = end.toLocaleString(this.country, format);
+        this.DOM.inpCalendarFooter.value = `${from} – ${to}: ${days} ${days === 1 ? 'Tag' : 'Tage'}, ${workdays} ${workdays === 1 ? 'Arbeitstag' : 'Arbeitstage'}`;
+        this.DOM.inpCalendarFooter.dispatchEvent( new Event('input', { bubbles: true }) );
+        return { days, workdays };
+    }
+
+    /**
+     * Gets the entries of the visible range from the events source and the imported .ics events
+     * and renders them.
+     * Arrays are rendered immediately, provider results as soon as they are resolved.
+     * @param {Date} start First visible date
+     * @param {Date} end Last visible date
+     */
+    async #loadEvents(start, end) {
+        const request = ++this.#eventsRequest;
+        let list = this.#events ?? [];
+        if (typeof list === 'function') {
+            this.#entries = new Map();
+            try {
+                list = await list(start, end);
+            } catch (error) {
+                console.error('[Calendar] Event provider failed:', error);
+                list = [];
+            }
+            // the month has been changed meanwhile: a newer request is on its way
+            if (request !== this.#eventsRequest) return;
+        }
+        list = Array.isArray(list) ? list : [];
+        if (this.#imported.length) list = [...list, ...expandEvents(this.#imported, start, end)];
+        this.#renderEvents(list, start, end);
+    }
+
+    /**
+     * Groups the entries per day (multi-day entries on every day up to `end`)
+     * and renders up to three dots per cell plus a tooltip with all titles.
+     */
+    #renderEvents(list, start, end) {
+        this.#entries = new Map();
+        list.forEach((entry) => {
+            const first = parse(entry?.date);
+            if (!first) return;
+            const last = parse(entry.end) ?? first;
+            let day = new Date(Math.max(first, start));
+            day.setHours(0, 0, 0, 0);
+            for (; day <= last && day <= end; day = this.dateAdd(1, day)) {
+                const key = day.toDateString();
+                if (!this.#entries.has(key)) this.#entries.set(key, []);
+                this.#entries.get(key).push(entry);
+            }
+        });
+
+        this.cells.forEach((cell) => {
+            cell.querySelector('.calendar-events')?.remove();
+            const date = new Date(cell.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3'));
+            const entries = this.#entries.get(date.toDateString()) ?? [];
+            cell.toggleAttribute('data-events', entries.length > 0);
+            cell.title = [cell.dataset.holiday, ...entries.map(e => e.title)].filter(Boolean).join('\n');
+            if (!entries.length) return;
+
+            const dots = this.createElement('div', { class: 'calendar-events' });
+            entries.slice(0, 3).forEach(entry => dots.appendChild(
+                this.createElement('i', {
+                    class: 'calendar-event',
+                    style: entry.color ? { backgroundColor: entry.color } : null
+                })
+            ));
+            if (entries.length > 3) dots.appendChild(this.createElement('small', { text: `+${entries.length - 3}` }));
+            cell.appendChild(dots);
+        });
+
+        // year view: the mini-months only mark days with entries
+        this.DOM.divCalendarBody.querySelectorAll('.calendar-mini-day').forEach((day) => {
+            const date = new Date(day.dataset.date.replace(/(\d+)\.(\d+)\.(\d+)/, '$2/$1/$3'));
+            day.classList.toggle('has-events', this.#entries.has(date.toDateString()));
+        });
+    }
+
+    /**
+     * Connects all inputs marked with `data-calendar="true"` by a calendar icon.
+     */
+    #autoScanBuddies() {
+        const buddies = $('input[data-calendar="true"]:is([type="text"], [type="date"], :not([type]))', true);
+        buddies.forEach(input => this.#injectBuddyIcon(input));
+    }
+
+    /**
+     * Injects the calendar icon as a trigger next to the buddy input.
+     * Alt+ArrowDown in the input opens the popover as well.
+     * @param {HTMLInputElement} input - The input field to attach the icon to.
+     */
+    #injectBuddyIcon(input) {
+        // Check if icon already exists to avoid duplicates
+        if (input.nextElementSibling?.classList.contains('calendar-buddy-icon')) return;
+
+        const open = () => {
+            if (input.disabled || input.readOnly) return;
+            if (this.visible && this.#buddy === input) return this.hide();
+            this.show(input);
+        };
+        const spanIcon = this.createElement('span', {
+            classList: 'svg-icon calendar-buddy-icon',
+            style: { cursor: 'pointer', color: 'var(--cal-icon-color, inherit)' },
+            innerHTML: CALENDAR_ICON,
+            title: 'Kalender öffnen',
+            onclick: open
+        });
+        spanIcon.toggleAttribute('disabled', input.disabled);
+        input.setAttribute('aria-haspopup', 'dialog');
+        input.addEventListener('keydown', (e) => {
+            if (e.altKey && e.key === 'ArrowDown') {
+                e.preventDefault();
+                open();
+            }
+        });
+        input.after(spanIcon);
+    }
+
+    /**
+     * Anchors the popover below the buddy (document coordinates).
+     */
+    #positionPopover() {
+        const rect = this.#buddy.getBoundingClientRect();
+        this.rootElement.style.top = `${rect.bottom + window.scrollY + 4}px`;
+        this.rootElement.style.left = `${Math.max(0, rect.left + window.scrollX)}px`;
+    }
+
+    /**
+     * Closes the popover on Escape or on a pointer down outside of calendar, buddy and icon.
+     * @param {KeyboardEvent|PointerEvent} e
+     */
+    #handleDismiss(e) {
+        if (e.type === 'keydown') {
+            if (e.key === 'Escape') this.hide();
+            return;
+        }
+        const target = e.target;
+        if (this.rootElement.contains(target) || target === this.#buddy) return;
+        if (target.closest?.('.calendar-buddy-icon') === this.#buddy?.nextElementSibling) return;
+        this.hide();
+    }
+
+    /**
+     * Checks a date against the min/max of the buddy (days only, while the popover is open).
+     * @param {Date} date
+     * @returns {boolean} true if the date may be selected
+     */
+    #inLimits(date) {
+        const { min, max } = this.#limits;
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return (!min || day >= new Date(min.getFullYear(), min.getMonth(), min.getDate())) &&
+               (!max || day <= new Date(max.getFullYear(), max.getMonth(), max.getDate()));
+    }
+
+    /**
+     * Returns the `format$` pattern of the buddy (see {@link format}).
+     * @returns {string}
+     */
+    #buddyPattern() {
+        const input = this.#buddy;
+        return (input.type === 'date') ? 'yyyy-mm-dd' : (input.dataset.calendarFormat || this.#format);
+    }
+
+    /**
+     * Reads the buddy's value in the pattern it is written with, so `mm/dd/yyyy` is not taken for d-m-y.
+     * Falls back to dateutils.parse if the value does not match the pattern.
+     * @returns {Date|null} - The date or null if the value is empty or invalid.
+     */
+    #readBuddy() {
+        const value = this.#buddy.value.trim();
+        const months = Array.from({ length: 12 }, (_, m) => new Date(2000, m, 1).toLocaleString(this.country, { month: 'long' }).toLowerCase());
+        const tokens = {
+            yyyy: '(?<year>\\d{4})', mmmm: '(?<name>\\p{L}+)', mm: '(?<month>\\d{1,2})', m: '(?<month>\\d{1,2})',
+            dddd: '\\p{L}+', ddd: '\\p{L}+\\.?', dd: '(?<day>\\d{1,2})', d: '(?<day>\\d{1,2})',
+            HH: '\\d{1,2}', H: '\\d{1,2}', hh: '\\d{1,2}', h: '\\d{1,2}', nn: '\\d{1,2}', n: '\\d{1,2}',
+            ss: '\\d{1,2}', s: '\\d{1,2}', aa: '[ap]m'
+        };
+        const source = this.#buddyPattern().split(new RegExp(`(${Object.keys(tokens).join('|')})`))
+            .map((part, i) => (i % 2) ? tokens[part] : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        let match = null;
+        try { match = value.match(new RegExp(`^${source}$`, 'iu'))?.groups; } catch { /* token used twice */ }
+        if (!match?.year || !match.day || !(match.month || match.name)) return parse(value) ?? null;
+        const month = match.month ? Number(match.month) - 1 : months.indexOf(match.name.toLowerCase());
+        const date = new Date(Number(match.year), month, Number(match.day));
+        // no roll-over: 31.02. is not a date
+        return (date.getMonth() === month && date.getDate() === Number(match.day)) ? date : null;
+    }
+
+    /**
+     * Writes the date into the buddy in its format pattern, fires 'input' and 'change' on it
+     * and closes the popover.
+     * @param {Date} date
+     */
+    #writeBuddy(date) {
+        const input = this.#buddy;
+        input.value = this.format$(date, this.#buddyPattern(), { locale: this.country });
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        this.hide();
+    }
+
     #startOfWeek(date) {
         const d = new Date(date);
         const day = d.getDay();
@@ -478,6 +1135,7 @@ export class Calendar extends Library {
  * @property {Date} date - The newly selected/displayed date.
  * @property {Date} previousDate - The date before the update.
  * @property {number} week - ISO week of the new date.
+ * @property {string} view - Current view ('month' | 'week' | 'year').
  */
 
 /**
@@ -491,6 +1149,23 @@ export class Calendar extends Library {
  * @property {string} weekday - Full name of the weekday.
  * @property {string} monthName - Full name of the month.
  * @property {string} holiday - Name of the holiday (if any).
+ * @property {CalendarEntry[]} events - Entries of the events source for this day.
+ */
+
+/**
+ * @typedef {Object} CalendarEntry
+ * @property {Date|string} date - (First) day of the entry.
+ * @property {Date|string} [end] - Last day of a multi-day entry.
+ * @property {string} title - Text shown in the tooltip.
+ * @property {string} [color] - CSS color of the dot (default: --cal-event-color).
+ */
+
+/**
+ * @typedef {Object} CalendarRangeEvent
+ * @property {Date} start - First day of the range.
+ * @property {Date} end - Last day of the range (inclusive).
+ * @property {number} days - Number of days in the range.
+ * @property {number} workdays - Number of workdays (Mon–Fri without holidays of the current state).
  */
 
 /**
@@ -498,4 +1173,27 @@ export class Calendar extends Library {
  * @property {number} week - The clicked ISO week number.
  * @property {Date} firstDay - Monday of the selected week.
  * @property {Date} lastDay - Sunday of the selected week.
- */
\ No newline at end of file
+ */
+
+const SELECTION_MODES = ['single', 'range', 'multiple'];
+
+// grid of the calendar body per view (the month grid matches OBJ_COMPONENTS.calendar)
+const CALENDAR_VIEWS = {
+    month: { gridTemplateColumns: 'repeat(8, 1fr)', gridTemplateRows: 'repeat(7, 1fr)', aspectRatio: '8 / 7' },
+    week: { gridTemplateColumns: 'repeat(7, 1fr)', gridTemplateRows: 'auto auto 1fr', aspectRatio: '7 / 4' },
+    year: { gridTemplateColumns: 'repeat(3, 1fr)', gridTemplateRows: 'repeat(4, auto)', aspectRatio: 'auto' }
+};
+
+// inline style of the calendar as popover of a buddy (top/left are set on show)
+const POPOVER_STYLE = {
+    position: 'absolute',
+    width: 'min(92vw, 24rem)',
+    zIndex: 1000,
+    boxShadow: '0 0.5rem 1.5rem rgba(0, 0, 0, 0.4)'
+};
+
+const CALENDAR_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
+    <path d="M19,4H18V3a1,1,0,0,0-2,0V4H8V3A1,1,0,0,0,6,3V4H5A3,3,0,0,0,2,7V19a3,3,0,0,0,3,3H19a3,3,0,0,0,3-3V7A3,3,0,0,0,19,4Zm1,15a1,1,0,0,1-1,1H5a1,1,0,0,1-1-1V10H20ZM20,8H4V7A1,1,0,0,1,5,6H19a1,1,0,0,1,1,1Z"/>
+    <circle cx="8" cy="14" r="1"/><circle cx="12" cy="14" r="1"/><circle cx="16" cy="14" r="1"/>
+    <circle cx="8" cy="17.5" r="1"/><circle cx="12" cy="17.5" r="1"/>
+</svg>`;
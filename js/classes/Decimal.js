@@ -0,0 +1,282 @@
+/**
+ * @file Decimal.js
+ * @module Decimal
+ * @version 1.0.0
+ * @author Jens-Olaf-Mueller
+ *
+ * Decimal — Immutable arbitrary-precision base-10 number.
+ * ===============================================================
+ *
+ * Stores a value as BigInt coefficient and a decimal scale: value = coefficient × 10^-scale.
+ * - Key Features:
+ * - Exact Arithmetic: Addition, subtraction and multiplication never lose digits (0.1 + 0.2 - 0.3 === 0).
+ * - Controlled Division: Quotients are computed to a given number of fraction digits with a rounding mode.
+ * - Rounding Modes: 'half-up' (commercial), 'half-even' (banker's) and 'down' (truncate).
+ * - Interop: `valueOf()` returns a Number, `toString()` the exact decimal string.
+ *
+ * ---------------------------------------------------------------
+ * I. Public Methods
+ * ---------------------------------------------------------------
+ * - {@link from}       - Static: converts numbers, numeric strings, BigInts and Decimals.
+ * - {@link add}        - Exact addition.
+ * - {@link sub}        - Exact subtraction.
+ * - {@link mul}        - Exact multiplication.
+ * - {@link div}        - Division to a fixed number of fraction digits.
+ * - {@link mod}        - Remainder (sign follows the dividend like the JS % operator).
+ * - {@link pow}        - Power with an integer exponent.
+ * - {@link neg}        - Negation.
+ * - {@link round}      - Rounds to a scale using a rounding mode.
+ * - {@link compare}    - Returns -1 | 0 | 1.
+ * - {@link toNumber}   - Converts to a (possibly inexact) Number.
+ * - {@link toString}   - Returns the exact decimal string (trailing zeros trimmed).
+ *
+ * ---------------------------------------------------------------
+ * II. Private Methods
+ * ---------------------------------------------------------------
+ * - #align(other)      - Brings two coefficients to a common scale.
+ * - #roundCoefficient() - Integer division of a coefficient with rounding mode handling.
+ *
+ * ---------------------------------------------------------------
+ * III. Events
+ * ---------------------------------------------------------------
+ * This class does not raise any custom events.
+ *
+ * ---------------------------------------------------------------
+ * IV. CSS Variables (Theming API)
+ * ---------------------------------------------------------------
+ * This class does not provide any CSS variables.
+ */
+export class Decimal {
+    #coefficient;
+    #scale;
+
+    /** @type {bigint} Unscaled integer value */
+    get coefficient() { return this.#coefficient; }
+    /** @type {number} Number of fraction digits */
+    get scale() { return this.#scale; }
+    /** @type {boolean} True if the value is zero */
+    get isZero() { return this.#coefficient === 0n; }
+    /** @type {boolean} True if the value has no fraction digits */
+    get isInteger() { return this.round(0, 'down').compare(this) === 0; }
+    /** @type {-1|0|1} Sign of the value */
+    get sign() { return this.#coefficient === 0n ? 0 : (this.#coefficient < 0n ? -1 : 1); }
+
+    /**
+     * @param {bigint} coefficient - Unscaled integer value.
+     * @param {number} [scale=0] - Number of fraction digits (value = coefficient × 10^-scale).
+     */
+    constructor(coefficient, scale = 0) {
+        this.#coefficient = BigInt(coefficient);
+        this.#scale = Math.max(0, Math.trunc(scale));
+    }
+
+    /**
+     * Converts a value into a Decimal.
+     * Numbers are converted via their shortest string representation, so 0.1 becomes exactly 0.1.
+     * @param {Decimal|number|string|bigint} value - Value to convert.
+     * @returns {Decimal}
+     * @throws {RangeError} - If the value is not a finite decimal number.
+     */
+    static from(value) {
+        if (value instanceof Decimal) return value;
+        if (typeof value === 'bigint') return new Decimal(value, 0);
+        if (typeof value === 'number' && !Number.isFinite(value)) throw new RangeError(`Not a finite number: ${value}`);
+
+        const match = String(value).trim().match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+        if (!match || (!match[2] && !match[3])) throw new RangeError(`Not a decimal number: "${value}"`);
+        const [, sign = '', int = '', frac = '', exp = '0'] = match;
+        let coefficient = BigInt(sign + (int + frac || '0'));
+        let scale = frac.length - Number(exp);
+        if (scale < 0) {
+            coefficient *= 10n ** BigInt(-scale);
+            scale = 0;
+        }
+        return new Decimal(coefficient, scale);
+    }
+
+    /**
+     * Adds another value.
+     * @param {Decimal|number|string} other
+     * @returns {Decimal}
+     */
+    add(other) {
+        const [a, b, scale] = this.#align(other);
+        return new Decimal(a + b, scale);
+    }
+
+    /**
+     * Subtracts another value.
+     * @param {Decimal|number|string} other
+     * @returns {Decimal}
+     */
+    sub(other) {
+        const [a, b, scale] = this.#align(other);
+        return new Decimal(a - b, scale);
+    }
+
+    /**
+     * Multiplies by another value.
+     * @param {Decimal|number|string} other
+     * @returns {Decimal}
+     */
+    mul(other) {
+        const d = Decimal.from(other);
+        return new Decimal(this.#coefficient * d.coefficient, this.#scale + d.scale);
+    }
+
+    /**
+     * Divides by another value.
+     * @param {Decimal|number|string} other - Divisor.
+     * @param {number} [digits=20] - Fraction digits of the quotient.
+     * @param {'half-up'|'half-even'|'down'} [mode='half-up'] - Rounding mode for the last digit.
+     * @returns {Decimal}
+     * @throws {RangeError} - On division by zero.
+     */
+    div(other, digits = 20, mode = 'half-up') {
+        const d = Decimal.from(other);
+        if (d.isZero) throw new RangeError('Division by zero');
+        // (a / 10^sa) / (b / 10^sb) = (a * 10^(digits + sb - sa) / b) / 10^digits
+        const shift = digits + d.scale - this.#scale;
+        let numerator = this.#coefficient, denominator = d.coefficient;
+        if (shift >= 0) numerator *= 10n ** BigInt(shift);
+        else denominator *= 10n ** BigInt(-shift);
+        return new Decimal(Decimal.#roundCoefficient(numerator, denominator, mode), digits);
+    }
+
+    /**
+     * Remainder of the division (sign follows the dividend like the JS % operator).
+     * @param {Decimal|number|string} other - Divisor.
+     * @returns {Decimal}
+     * @throws {RangeError} - On division by zero.
+     */
+    mod(other) {
+        const [a, b, scale] = this.#align(other);
+        if (b === 0n) throw new RangeError('Division by zero');
+        return new Decimal(a % b, scale);
+    }
+
+    /**
+     * Raises the value to an integer power.
+     * Negative exponents are resolved by division with `digits` fraction digits.
+     * @param {number} exponent - Integer exponent.
+     * @param {number} [digits=20] - Fraction digits for negative exponents.
+     * @param {'half-up'|'half-even'|'down'} [mode='half-up'] - Rounding mode for negative exponents.
+     * @returns {Decimal}
+     * @throws {RangeError} - If the exponent is not a safe integer.
+     */
+    pow(exponent, digits = 20, mode = 'half-up') {
+        if (!Number.isSafeInteger(exponent)) throw new RangeError(`Exponent must be an integer: ${exponent}`);
+        const n = Math.abs(exponent);
+        const result = new Decimal(this.#coefficient ** BigInt(n), this.#scale * n);
+        return exponent < 0 ? new Decimal(1n).div(result, digits, mode) : result;
+    }
+
+    /**
+     * Returns the negated value.
+     * @returns {Decimal}
+     */
+    neg() {
+        return new Decimal(-this.#coefficient, this.#scale);
+    }
+
+    /**
+     * Rounds the value to a given number of fraction digits.
+     * @param {number} [scale=0] - Fraction digits to keep.
+     * @param {'half-up'|'half-even'|'down'} [mode='half-up'] - Rounding mode.
+     * @returns {Decimal}
+     *
+     * @example
+     * Decimal.from('2.345').round(2);              // → 2.35
+     * Decimal.from('2.345').round(2, 'half-even'); // → 2.34
+     * Decimal.from('-2.349').round(2, 'down');     // → -2.34
+     */
+    round(scale = 0, mode = 'half-up') {
+        if (scale >= this.#scale) return this;
+        const divisor = 10n ** BigInt(this.#scale - scale);
+        return new Decimal(Decimal.#roundCoefficient(this.#coefficient, divisor, mode), scale);
+    }
+
+    /**
+     * Compares with another value.
+     * @param {Decimal|number|string} other
+     * @returns {-1|0|1}
+     */
+    compare(other) {
+        const [a, b] = this.#align(other);
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+
+    /**
+     * Converts to a Number (may lose precision beyond ~15 significant digits).
+     * @returns {number}
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    /** @returns {number} */
+    valueOf() {
+        return this.toNumber();
+    }
+
+    /**
+     * Returns the exact decimal representation without trailing fraction zeros.
+     * @returns {string}
+     */
+    toString() {
+        const negative = this.#coefficient < 0n;
+        const digits = (negative ? -this.#coefficient : this.#coefficient).toString().padStart(this.#scale + 1, '0');
+        const int = digits.slice(0, digits.length - this.#scale);
+        const frac = digits.slice(digits.length - this.#scale).replace(/0+$/, '');
+        const result = frac ? `${int}.${frac}` : int;
+        return (negative && result !== '0') ? `-${result}` : result;
+    }
+
+    /** @returns {string} */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Brings both coefficients to the larger of both scales.
+     * @private
+     * @param {Decimal|number|string} other
+     * @returns {[bigint, bigint, number]} Both coefficients and the common scale.
+     */
+    #align(other) {
+        const d = Decimal.from(other);
+        const scale = Math.max(this.#scale, d.scale);
+        const a = this.#coefficient * 10n ** BigInt(scale - this.#scale);
+        const b = d.coefficient * 10n ** BigInt(scale - d.scale);
+        return [a, b, scale];
+    }
+
+    /**
+     * Integer division with rounding of the remainder.
+     * @private
+     * @param {bigint} numerator
+     * @param {bigint} denominator
+     * @param {'half-up'|'half-even'|'down'} mode
+     * @returns {bigint}
+     */
+    static #roundCoefficient(numerator, denominator, mode) {
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const quotient = numerator / denominator; // BigInt division truncates toward zero
+        const remainder = numerator % denominator;
+        if (remainder === 0n || mode === 'down') return quotient;
+
+        const step = numerator < 0n ? -1n : 1n;
+        const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+        if (twice > denominator) return quotient + step;
+        if (twice < denominator) return quotient;
+        // exactly half way
+        if (mode === 'half-even') return (quotient % 2n === 0n) ? quotient : quotient + step;
+        return quotient + step; // half-up: away from zero
+    }
+}
+
+/** @type {string[]} Rounding modes supported by {@link Decimal#round} and {@link Decimal#div} */
+export const ROUNDING_MODES = ['half-up', 'half-even', 'down'];
@@ -1,18 +1,25 @@
+import { Decimal, ROUNDING_MODES } from './Decimal.js';
+import { Quantity, UNITS } from './Quantity.js';
+import { parse as parseDate, isWorkday } from '../dateutils.js';
+
 /**
  * Safe mathematical expression parser using Shunting-Yard algorithm.
  * ==================================================================
- * Supports +, -, ×, ÷, %, parentheses and unary minus.
+ * Supports +, -, ×, ÷, %, ^, root, !, parentheses, unary minus,
+ * scientific functions, the constants pi and e and named variables.
  *
  * ------------------------------------------------------------------
  * I. Public Methods
  * ------------------------------------------------------------------
  * - {@link parse}
+ * - {@link compile}
  *
+ * All failures are reported as {@link ParserError} (reason code, token, offset).
  */
 /**
  * @file Parser.js
  * @module Parser
- * @version 1.0.0
+ * @version 1.10.0
  * @author Jens-Olaf-Mueller
  *
  * Parser — Safe mathematical expression evaluator.
@@ -25,26 +32,66 @@
  *   - subtraction (-)
  *   - multiplication (*, ×)
  *   - division (/, ÷)
- *   - modulo (%)
+ *   - modulo (mod, or % in the default percent mode 'modulo')
+ *   - percent (%, postfix in percent mode 'percent': `200 + 10%` → 220, `50 * 10%` → 5)
+ *   - exponentiation (^, right-associative)
+ *   - root (`8 root 3` → 2, right-associative like ^)
+ *   - square root (√, prefix: `√9` → 3)
+ *   - factorial (!, postfix)
  *   - parentheses
  *   - unary minus
+ * - Functions: sqrt, cbrt, sin, cos, tan (and their inverse and hyperbolic variants), log (base 10), log2, ln,
+ *   exp, abs, round, floor, ceil — see {@link PARSER_FUNCTIONS}.
+ * - Angles: Trigonometric functions use the `angleUnit` ('rad', 'deg' or 'grad'): `sin(30)` → 0.5 in 'deg'.
+ * - Constants: pi (π) and e — see {@link PARSER_CONSTANTS}.
+ * - Variables: Identifiers (i.e. `price * qty`) are resolved from the scope object passed to {@link parse}.
+ * - Compile Once: {@link compile} returns a reusable {@link CompiledExpression} for hot loops.
+ * - Error Reporting: Failures are returned as {@link ParserError} carrying a reason code,
+ *   the offending token and its character offset in the original input.
  * - Advanced Logic: Supports parentheses for grouping and unary minus for negative numbers.
  * - Sanitization: Normalizes input by removing invalid characters and mapping localized operators.
+ * - Locale: `{ locale: 'en-US' }` derives decimal and group separators from `Intl.NumberFormat`,
+ *   so grouped input like `1,234.5` (en), `1.234,5` (de), `1’234.5` (de-CH) or `1 234,5` (fr) is accepted.
+ *   Without a locale, a comma is treated as decimal separator.
  * - Precision: Includes configurable symmetric rounding to handle floating-point inaccuracies.
+ * - Decimal Mode: `{ arithmetic: 'decimal' }` evaluates with exact base-10 numbers ({@link Decimal})
+ *   and rounds the result to `scale` digits using `roundingMode` ('half-up', 'half-even', 'down').
+ * - Programmer Mode: `{ arithmetic: 'integer' }` evaluates with BigInt wrapped to `wordSize` bits (two's complement),
+ *   accepts 0x, 0b and 0o literals and the operators & | ^ (xor) ~ << >> and ** (power).
+ * - Units: In number arithmetic, a unit name after an operand makes it a {@link Quantity} (see {@link UNITS}):
+ *   `3 ft + 20 cm in m`, `2 h 15 min * 3`, `100 km/h to mph`, `20 °C in °F`, `1.5 GB / 8 Mbit/s` → 1500 s.
+ *   Consecutive quantities are summed (`2 h 15 min`), `in`/`to` converts the whole expression (or group)
+ *   on its left, adding incompatible units fails with reason 'INCOMPATIBLE_UNITS'.
+ * - Dates & Times: In number arithmetic, `dd.mm.yyyy` and `yyyy-mm-dd` literals (read by `dateutils.parse`),
+ *   `today`, `now` and clock times `h:mm[:ss]` can be combined with durations (d, w, h, min ...):
+ *   `15.03.2026 + 45 d` → Date, `today - 01.01.2026` → days, `09:30 + 2:45` → '12:15'.
+ *   The unit `wd` adds business days of the configured `country`/`region` (`15.03.2026 + 10 wd`).
  *
  * ---------------------------------------------------------------
  * I. Public Methods
  * ---------------------------------------------------------------
- * - {@link parse} - Evaluates a mathematical string and returns a numeric result or an Error object.
+ * - {@link parse}   - Evaluates a mathematical string (optionally with a variable scope)
+ *                     and returns a numeric result, a {@link Quantity} or an Error object.
+ * - {@link compile} - Converts an expression once into a {@link CompiledExpression} that can be
+ *                     evaluated many times with different scopes.
+ * - {@link format}  - Formats a result with the separators of the configured locale.
  *
  * ---------------------------------------------------------------
  * II. Private Methods (Internal Logic)
  * ---------------------------------------------------------------
- * - #normalize(input)  - Sanitizes input strings and maps characters like '×' to '*'.
- * - #tokenize(expr)    - Breaks the expression into numeric and operator tokens.
+ * - #normalize(input)  - Sanitizes input strings and maps characters like '×' to '*' (keeps an offset map).
+ * - #tokenize(expr)    - Breaks the expression into numeric, operator, function, variable and unit tokens.
  * - #toRPN(tokens)     - Shunting-Yard algorithm: converts tokens to Reverse Polish Notation.
- * - #evalRPN(rpn)      - Evaluates the RPN stack to calculate the final result.
- * - #round(num)        - Applies precision-based rounding using Number.EPSILON.
+ * - #evalRPN(rpn, scope) - Evaluates the RPN stack to calculate the final result.
+ * - #operations()      - Returns the number (unit-aware), decimal or integer operation set used by #evalRPN.
+ * - #resolve(name, scope) - Looks up a variable in the evaluation scope.
+ * - #dateOperation(t, a, b) - Adds/subtracts durations to/from dates and computes the distance of two dates.
+ * - #addWorkdays(date, days) - Moves a date by a number of business days.
+ * - #execute(rpn, scope, input) - Evaluates + rounds a RPN token array and maps failures to ParserErrors.
+ * - #toParserError(err, input) - Wraps any exception into a ParserError bound to the original input.
+ * - #callFunction(name, x) - Calls a function of PARSER_FUNCTIONS in the configured angle unit.
+ * - #factorial(num)    - Computes n! for non-negative integers (NaN otherwise).
+ * - #round(num)        - Applies precision-based rounding (or the decimal rounding mode).
  *
  * ---------------------------------------------------------------
  * III. Events
@@ -57,70 +104,324 @@
  * This component does not provide any CSS variables.
  */
 export class Parser {
+    #arithmetic = 'number';
+    /**
+     * Arithmetic used to evaluate expressions.
+     * - 'number'  → IEEE doubles, result rounded to `precision` digits
+     * - 'decimal' → exact base-10 {@link Decimal}, result rounded to `scale` digits
+     * - 'integer' → programmer mode: BigInt wrapped to `wordSize` bits, bitwise operators,
+     *               0x/0b/0o literals; '^' is XOR and '**' the power operator
+     * @type {'number'|'decimal'|'integer'}
+     */
+    get arithmetic() { return this.#arithmetic; }
+    set arithmetic(mode) {
+        if (['number', 'decimal', 'integer'].includes(mode)) this.#arithmetic = mode;
+    }
+
+    #wordSize = 64;
+    /**
+     * Register width in bits for integer arithmetic (8, 16, 32 or 64).
+     * Every intermediate result is wrapped to this width as signed two's complement.
+     * @type {number}
+     */
+    get wordSize() { return this.#wordSize; }
+    set wordSize(bits) {
+        if (WORD_SIZES.includes(Number(bits))) this.#wordSize = Number(bits);
+    }
+
+    #roundingMode = 'half-up';
+    /**
+     * Rounding mode applied to decimal results (and intermediate quotients).
+     * @type {'half-up'|'half-even'|'down'}
+     */
+    get roundingMode() { return this.#roundingMode; }
+    set roundingMode(mode) {
+        if (ROUNDING_MODES.includes(mode)) this.#roundingMode = mode;
+    }
+
+    #locale;
+    #separators = { decimal: ',', group: '' };
+    /**
+     * Locale (BCP 47 tag) used to read and format numbers, i.e. 'en-US', 'de-DE', 'de-CH', 'fr-FR'.
+     * Undefined keeps the legacy behavior: a comma is read as decimal separator, nothing is grouped.
+     * @type {string|undefined}
+     */
+    get locale() { return this.#locale; }
+    set locale(locale) {
+        if (!locale) {
+            this.#locale = undefined;
+            this.#separators = { decimal: ',', group: '' };
+            return;
+        }
+        const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+        this.#locale = locale;
+        this.#separators = {
+            decimal: parts.find(p => p.type === 'decimal')?.value ?? '.',
+            group: parts.find(p => p.type === 'group')?.value ?? ''
+        };
+    }
+
+    /** @type {string} Decimal separator of the current locale */
+    get decimalSeparator() { return this.#separators.decimal; }
+    /** @type {string} Group (thousands) separator of the current locale ('' without locale) */
+    get groupSeparator() { return this.#separators.group; }
+
+    #percentMode = 'modulo';
+    /**
+     * Meaning of the % sign. `mod` is always available for the remainder.
+     * - 'modulo'  → `7 % 3` → 1
+     * - 'percent' → business calculator percent: `200 + 10%` → 220, `200 - 10%` → 180,
+     *               `50 * 10%` → 5, `10%` → 0.1
+     * @type {'modulo'|'percent'}
+     */
+    get percentMode() { return this.#percentMode; }
+    set percentMode(mode) {
+        if (mode === 'modulo' || mode === 'percent') this.#percentMode = mode;
+    }
+
+    #angleUnit = 'rad';
+    /**
+     * Angle unit of the trigonometric functions (arguments of sin, cos, tan and results of asin, acos, atan).
+     * @type {'rad'|'deg'|'grad'}
+     */
+    get angleUnit() { return this.#angleUnit; }
+    set angleUnit(unit) {
+        if (Object.hasOwn(ANGLE_FACTORS, unit)) this.#angleUnit = unit;
+    }
+
     /**
      * Creates a new Parser instance.
      * @param {object} [options={}] - Optional parser settings.
      * @param {number} [options.precision=10] - Number of decimal places for rounding.
      * @param {boolean} [options.allowModulo=true] - Whether to allow the modulo operator.
+     * @param {'modulo'|'percent'} [options.percentMode='modulo'] - Meaning of the % sign (see {@link percentMode}).
+     * @param {'number'|'decimal'|'integer'} [options.arithmetic='number'] - Floating point, exact decimal or BigInt arithmetic.
+     * @param {number} [options.wordSize=64] - Register width of integer arithmetic (8, 16, 32, 64).
+     * @param {number} [options.scale=precision] - Fraction digits of decimal results.
+     * @param {'half-up'|'half-even'|'down'} [options.roundingMode='half-up'] - Rounding mode of decimal results.
+     * @param {string} [options.locale] - Locale for decimal and group separators (see {@link locale}).
+     * @param {string} [options.country='de-DE'] - Holiday calendar for business days ('de-DE' | 'de-CH' | 'de-AT').
+     * @param {string} [options.region='global'] - Region of the holiday calendar (lowercase, i.e. 'bayern', 'zürich').
+     * @param {'rad'|'deg'|'grad'} [options.angleUnit='rad'] - Angle unit of the trigonometric functions.
      * @param {boolean} [options.debug=false] - Enables console debugging output.
+     *
+     * @example
+     * const ledger = new Parser({ arithmetic: 'decimal', scale: 2, roundingMode: 'half-even' });
+     * ledger.parse('0.1 + 0.2 - 0.3').toString(); // → '0'
      */
     constructor(options = {}) {
         this.precision = options.precision ?? 10;
         this.allowModulo = options.allowModulo ?? true;
+        this.percentMode = options.percentMode ?? 'modulo';
+        this.arithmetic = options.arithmetic ?? 'number';
+        this.wordSize = options.wordSize ?? 64;
+        this.scale = options.scale ?? this.precision;
+        this.roundingMode = options.roundingMode ?? 'half-up';
+        this.locale = options.locale;
+        this.country = options.country ?? 'de-DE';
+        this.region = options.region ?? 'global';
+        this.angleUnit = options.angleUnit ?? 'rad';
         this.debug = options.debug ?? false;
     }
 
     /**
      * Parses and evaluates a mathematical expression.
      * @param {string} input - Expression to evaluate.
-     * @returns {number|Error} - The evaluated numeric result or an Error object.
+     * @param {Object<string, number>} [scope={}] - Variable values referenced by the expression.
+     * @returns {number|bigint|Decimal|Quantity|Date|ParserError} - The evaluated numeric result (a {@link Decimal} in decimal mode,
+     * a BigInt in integer mode, a {@link Quantity} if the result has a unit, a Date for date arithmetic) or a ParserError.
+     * Unknown variables return a ParserError (reason 'UNKNOWN_VARIABLE') that names the missing identifier.
+     *
+     * @example
+     * parser.parse('price * qty * (1 - discount)', { price: 20, qty: 3, discount: 0.1 }); // → 54
+     * parser.parse('3 ft + 20 cm in m').toString();                                      // → '1.1144 m'
+     * parser.parse('1.5 GB / 8 Mbit/s').toString();                                      // → '1500 s'
+     * parser.parse('15.03.2026 + 45 d');                                                  // → Date (29.04.2026)
+     */
+    parse(input, scope = {}) {
+        const compiled = this.compile(input);
+        return (compiled instanceof Error) ? compiled : compiled.evaluate(scope);
+    }
+
+    /**
+     * Formats a result with the separators of the current locale.
+     * Fraction digits are limited to `precision` (or `scale` in decimal mode).
+     * Integers (BigInt) can be shown in base 16, 8 or 2 as unsigned `wordSize` bit pattern;
+     * those digits are grouped in blocks of four (three for octal) separated by a space.
+     * Quantities are formatted as value and unit (clock times as 'h:mm'), dates as localized date
+     * (with hours and minutes if the time is not midnight).
+     * @param {number|bigint|Decimal|Quantity|Date|Error} result - Value returned by {@link parse} or {@link CompiledExpression#evaluate}.
+     * @param {object} [options={}] - Formatting options.
+     * @param {boolean} [options.useGrouping=true] - Whether to insert group separators.
+     * @param {2|8|10|16} [options.radix=10] - Base for integer results.
+     * @returns {string} - The formatted number or the error message.
+     *
+     * @example
+     * const parser = new Parser({ locale: 'de-CH' });
+     * parser.format(parser.parse('1’000 * 12.5')); // → '12’500'
+     *
+     * const programmer = new Parser({ arithmetic: 'integer', wordSize: 8 });
+     * programmer.format(programmer.parse('~0x0F'), { radix: 2 }); // → '1111 0000'
+     */
+    format(result, options = {}) {
+        if (result instanceof Error) return result.message;
+        if (result instanceof Quantity) return result.clock ? result.toString() : `${this.format(result.value, options)} ${result.unit}`;
+        if (result instanceof Date) {
+            const time = result.getHours() || result.getMinutes() || result.getSeconds();
+            const clock = time ? { hour: '2-digit', minute: '2-digit' } : {};
+            return new Intl.DateTimeFormat(this.locale, { day: '2-digit', month: '2-digit', year: 'numeric', ...clock }).format(result);
+        }
+        const radix = options.radix ?? 10;
+        if (radix !== 10) {
+            let digits = BigInt.asUintN(this.wordSize, BigInt(result)).toString(radix).toUpperCase();
+            if (options.useGrouping === false) return digits;
+            const size = (radix === 8) ? 3 : 4;
+            // bits are shown in complete nibbles
+            if (radix === 2) digits = digits.padStart(Math.ceil(digits.length / size) * size, '0');
+            return digits.replace(new RegExp(`\\B(?=(.{${size}})+$)`, 'g'), ' ');
+        }
+        const digits = (this.arithmetic === 'decimal') ? this.scale : this.precision;
+        const formatter = new Intl.NumberFormat(this.locale, {
+            maximumFractionDigits: Math.min(Math.max(digits, 0), 20),
+            useGrouping: options.useGrouping ?? true
+        });
+        // Intl formats numeric strings exactly, so decimals keep all their digits
+        return formatter.format(result instanceof Decimal ? result.toString() : result);
+    }
+
+    /**
+     * Compiles an expression into a reusable RPN representation.
+     * Normalizing, tokenizing and the Shunting-Yard pass run only once;
+     * the returned object evaluates the stored RPN with any given scope.
+     * @param {string} input - Expression to compile.
+     * @returns {CompiledExpression|ParserError} - The compiled expression or a ParserError on syntax errors.
+     *
+     * @example
+     * const total = parser.compile('price * qty');
+     * total.variables;                       // → ['price', 'qty']
+     * total.evaluate({ price: 2, qty: 21 }); // → 42
      */
-    parse(input) {
+    compile(input) {
         try {
-            const expression = this.#normalize(input);
-            const tokens = this.#tokenize(expression);
+            const { expression, offsets } = this.#normalize(input);
+            const tokens = this.#tokenize(expression, offsets);
             const rpn = this.#toRPN(tokens);
-            const result = this.#evalRPN(rpn);
-            if (Number.isNaN(result)) throw new Error('Invalid expression');
-            // const result = evaluateExpression(input);
+            return new CompiledExpression(expression, rpn, (scope) => this.#execute(rpn, scope, input));
+        } catch (err) {
+            return this.#toParserError(err, input);
+        }
+    }
+
+    /**
+     * Evaluates a RPN token array and applies the configured rounding.
+     * @private
+     * @param {Array<{type:string, value:string|number, pos:number}>} rpn - Tokens in RPN order.
+     * @param {Object<string, number>} [scope={}] - Variable values.
+     * @param {string} [input=''] - Original input (attached to errors).
+     * @returns {number|bigint|Decimal|Quantity|Date|ParserError} - The rounded result or a ParserError.
+     */
+    #execute(rpn, scope = {}, input = '') {
+        try {
+            const result = this.#evalRPN(rpn, scope);
+            if ((typeof result === 'number' || result instanceof Quantity) && Number.isNaN(Number(result))) {
+                throw new ParserError('INVALID_EXPRESSION');
+            }
             return this.#round(result);
-        } catch {
-            return new Error('Invalid expression');
+        } catch (err) {
+            return this.#toParserError(err, input);
         }
     }
 
+    /**
+     * Makes sure every failure leaves the parser as a ParserError.
+     * @private
+     * @param {*} err - Caught exception.
+     * @param {string} input - Original input expression.
+     * @returns {ParserError}
+     */
+    #toParserError(err, input) {
+        const error = (err instanceof ParserError) ? err : new ParserError('INVALID_EXPRESSION');
+        error.input = String(input ?? '');
+        return error;
+    }
+
     /**
      * Normalizes an expression string.
      * Converts locale and Unicode characters to canonical math symbols.
+     * Group separators are only removed between digits in front of a block of exactly three digits,
+     * so `1.5` stays a decimal number for 'de-DE' while `1.234,5` becomes `1234.5`.
+     * Every replacement is tracked, so each character of the normalized
+     * expression can be mapped back to its offset in the raw input.
      * @private
      * @param {string} str - Raw input expression.
-     * @returns {string} - Normalized expression.
+     * @returns {{expression: string, offsets: number[]}} - Normalized expression and its offset map.
      */
     #normalize(str) {
-        return String(str)
-            .replace(/\u00A0/g, ' ')
-            .replace(/÷/g, '/')
-            .replace(/×/g, '*')
-            .replace(/,/g, '.')
-            .replace(/\bmod\b/gi, '%')
-            .replace(/\s+/g, ' ')
-            .trim();
+        let expression = String(str ?? '');
+        let offsets = Array.from(expression, (_, i) => i);
+
+        const replace = (regex, replacement) => {
+            let result = '', map = [], last = 0;
+            for (const match of expression.matchAll(regex)) {
+                result += expression.slice(last, match.index);
+                map.push(...offsets.slice(last, match.index));
+                result += replacement;
+                map.push(...Array(replacement.length).fill(offsets[match.index]));
+                last = match.index + match[0].length;
+            }
+            expression = result + expression.slice(last);
+            offsets = map.concat(offsets.slice(last));
+        };
+
+        const { decimal, group } = this.#separators;
+        const escape = str => str.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+        if (group) {
+            const chars = escape([group, ...(GROUP_ALIASES[group] ?? [])].join(''));
+            replace(new RegExp(`(?<=\\d)[${chars}](?=\\d{3}(?!\\d))`, 'g'), '');
+        }
+        replace(/\u00A0/g, ' ');
+        replace(/÷/g, '/');
+        replace(/×/g, '*');
+        const power = (this.arithmetic === 'integer') ? '**' : '^';
+        replace(/²/g, `${power}2`);
+        replace(/³/g, `${power}3`);
+        if (decimal !== '.') replace(new RegExp(escape(decimal), 'g'), '.');
+        replace(/\s+/g, ' ');
+        replace(/^ | $/g, '');
+        return { expression, offsets };
     }
 
 
     /**
-     * Tokenizes an expression into numbers, operators, and parentheses.
-     * Also handles unary minus.
+     * Tokenizes an expression into numbers, operators, functions and parentheses.
+     * Also handles unary minus/plus, the prefix square root `√` (`√9`, `√(9)`), named constants,
+     * the `mod` operator and the postfix operators factorial and percent. The remainder operator gets the value 'mod' (its `text`
+     * keeps what was typed), so '%' always denotes a percentage.
+     * In number arithmetic, a known unit name after an operand becomes a 'unit' token, a number
+     * following a unit is joined by an implicit sum ('u+') and `in`/`to` followed by a target unit
+     * becomes the postfix conversion operator 'in' (`target` holds the unit map). A unit name
+     * directly after "unit/" or "unit*" joins the preceding unit token (`km/h` is one unit), a power
+     * directly after a unit belongs to the unit (`2 m²` is 2 square meters, not 4).
+     * Date literals become 'date' tokens, clock times the hours followed by an 'h:mm' unit token;
+     * a time directly after a date is added to it (`15.03.2026 09:30`).
+     * Each token carries its character offset (`pos`) in the original input.
      * @private
      * @param {string} expression - Normalized expression string.
-     * @returns {Array<{type:string, value:string|number}>} - Array of tokens.
-     * @throws {Error} - If invalid syntax is found.
+     * @param {number[]} [offsets=[]] - Offset map from {@link #normalize}.
+     * @returns {Array<{type:string, value:string|number, pos:number}>} - Array of tokens.
+     * @throws {ParserError} - If invalid syntax is found.
      */
-    #tokenize(expression) {
+    #tokenize(expression, offsets = []) {
         const tokens = [];
         let i = 0;
+        const posOf = idx => offsets[idx] ?? idx;
         const isDigit = c => c >= '0' && c <= '9';
-        const isOp = c => '+-*/%'.includes(c);
+        const isLetter = c => /[\p{L}_°]/u.test(c ?? '');
+        const isOp = c => '+-*/%^'.includes(c);
+        const integer = (this.arithmetic === 'integer');
+        const percent = (this.percentMode === 'percent') && !integer;
+        // units, dates and times need number arithmetic
+        const typed = (this.arithmetic === 'number');
 
         /**
          * Reads a complete number (integer, decimal, or scientific notation).
@@ -134,7 +435,8 @@ export class Parser {
                 if (expression[i] === '.') sawDot = true;
                 i++;
             }
-            if (expression[i] === 'e' || expression[i] === 'E') {
+            // exponent only if digits follow, otherwise 'e' is the Euler constant (i.e. "2e")
+            if (/^e[+-]?\d/i.test(expression.slice(i))) {
                 i++;
                 if ('+-'.includes(expression[i])) i++;
                 while (isDigit(expression[i])) i++;
@@ -143,37 +445,247 @@ export class Parser {
         };
 
         /**
-         * Determines whether the current '-' is unary (negation) or binary (subtraction).
+         * Reads an integer literal in programmer mode: decimal, 0x (hex), 0b (binary) or 0o (octal).
          * @private
-         * @returns {boolean} - True if unary minus.
+         * @returns {bigint|null} - Parsed value or null if the literal is invalid (i.e. "0xG" or "1.5").
          */
-        const isUnaryMinus = () => {
+        const readInteger = () => {
+            const start = i;
+            if (/^0[xbo]/i.test(expression.slice(i))) i += 2;
+            while (i < expression.length && /[\da-z_.]/i.test(expression[i])) i++;
+            try {
+                return BigInt(expression.slice(start, i));
+            } catch {
+                return null;
+            }
+        };
+
+        /**
+         * Reads an identifier (function, constant or variable name).
+         * @private
+         * @returns {string} - Identifier as typed (variables are case-sensitive).
+         */
+        const readName = () => {
+            const start = i;
+            while (i < expression.length && (isLetter(expression[i]) || isDigit(expression[i]))) i++;
+            return expression.slice(start, i);
+        };
+
+        /**
+         * Reads the target unit of a conversion (i.e. "m", "km/h" or "m^2").
+         * The target must be followed by the end of the expression, a closing parenthesis
+         * or an operator, so "3 in in cm" converts 3 inches while "5 in / 2" halves 5 inches.
+         * @private
+         * @param {number} j - Index behind the `in`/`to` keyword.
+         * @returns {{units: Object<string, number>, end: number}|null} - Unit map and end index, or null if there is no target.
+         */
+        const readTarget = (j) => {
+            const unit = /^ ?([\p{L}_°][\p{L}\d_]*)(?:\^(-?\d+))?/u;
+            const target = {};
+            let sign = 1, match;
+            while ((match = expression.slice(j).match(unit)) && Object.hasOwn(UNITS, match[1])) {
+                target[match[1]] = (target[match[1]] ?? 0) + sign * Number(match[2] ?? 1);
+                j += match[0].length;
+                // "km/h": continue only if another unit follows the operator
+                const next = expression.slice(j).match(/^ ?([*/])/);
+                const more = next && expression.slice(j + next[0].length).match(unit);
+                if (!more || !Object.hasOwn(UNITS, more[1])) break;
+                sign = (next[1] === '/') ? -1 : 1;
+                j += next[0].length;
+            }
+            if (!Object.keys(target).length || !/^ ?([)+\-*/^%]|$)/.test(expression.slice(j))) return null;
+            return { units: target, end: j };
+        };
+
+        /**
+         * Reads a date (dd.mm.yyyy or yyyy-mm-dd, converted by dateutils.parse) or a clock time (h:mm or h:mm:ss).
+         * @private
+         * @param {number} pos - Offset of the literal in the original input.
+         * @returns {{type:string, value:Date|number, text:string, pos:number}|null} - A 'date' token, a 'num' token
+         *          holding the hours of a time or null if there is no date or time at the current position.
+         * @throws {ParserError} - If the date does not exist (i.e. 31.02.2026) or minutes/seconds exceed 59.
+         */
+        const readDateTime = (pos) => {
+            const rest = expression.slice(i);
+            const date = rest.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?![\d.])/) ?? rest.match(/^(\d{4})-(\d{2})-(\d{2})(?!\d)/);
+            if (date) {
+                const [text, ...parts] = date;
+                const [day, month] = (parts[0].length === 4) ? [parts[2], parts[1]] : parts;
+                const value = parseDate(text);
+                // dateutils.parse rolls invalid days over (31.02. → 03.03.)
+                if (!value || value.getDate() !== Number(day) || value.getMonth() + 1 !== Number(month)) {
+                    throw new ParserError('INVALID_DATE', text, pos);
+                }
+                i += text.length;
+                return { type: 'date', value, text, pos };
+            }
+            const time = rest.match(/^(\d+):(\d{2})(?::(\d{2}))?(?![\d:])/);
+            if (!time) return null;
+            const [text, hours, minutes, seconds = '0'] = time;
+            if (Number(minutes) > 59 || Number(seconds) > 59) throw new ParserError('INVALID_DATE', text, pos);
+            i += text.length;
+            return { type: 'num', value: Number(hours) + Number(minutes) / 60 + Number(seconds) / 3600, text, pos };
+        };
+
+        /**
+         * Creates a unit token and takes over a following power ("m^2" → power 2).
+         * @private
+         * @param {string} name - Unit name.
+         * @param {number} pos - Offset of the unit in the original input.
+         * @returns {{type:'unit', value:string, power:number, pos:number}}
+         */
+        const readUnit = (name, pos) => {
+            const match = expression.slice(i).match(/^ ?\^ ?(-?\d+)/);
+            if (match) i += match[0].length;
+            return { type: 'unit', value: name, power: Number(match?.[1] ?? 1), pos };
+        };
+
+        /**
+         * Determines whether an operand is expected at the current position
+         * (start, after a binary/prefix operator, "(" or a function name).
+         * Decides between unary and binary minus as well.
+         * @private
+         * @returns {boolean} - True if an operand is expected.
+         */
+        const expectsOperand = () => {
             if (!tokens.length) return true;
             const prev = tokens.at(-1);
-            return prev.type === 'op' || prev.type === 'lparen';
+            return (prev.type === 'op' && !POSTFIX_OPERATORS.includes(prev.value)) || prev.type === 'lparen' || prev.type === 'func';
+        };
+
+        /**
+         * Pushes an operand token and rejects two operands in a row (i.e. "2 3").
+         * @private
+         */
+        const pushOperand = (token) => {
+            if (!expectsOperand()) throw new ParserError('UNEXPECTED_TOKEN', String(token.raw ?? token.value), token.pos);
+            delete token.raw;
+            tokens.push(token);
         };
 
         while (i < expression.length) {
             const ch = expression[i];
+            const pos = posOf(i);
             if (ch === ' ') { i++; continue; }
 
+            if (integer && (isDigit(ch) || ch === '.')) {
+                const start = i;
+                const value = readInteger();
+                const text = expression.slice(start, i);
+                if (value === null) throw new ParserError('INVALID_NUMBER', text, pos);
+                pushOperand({ type: 'num', value, text, pos, raw: text });
+                continue;
+            }
+
             if (isDigit(ch) || ch === '.') {
-                tokens.push({ type: 'num', value: readNumber() });
+                const literal = (typed && isDigit(ch)) ? readDateTime(pos) : null;
+                // "2 h 15 min" → 2 h + 15 min, "15.03.2026 09:30" → date + time
+                const prev = tokens.at(-1)?.type;
+                if (prev === 'unit' || (prev === 'date' && literal?.type === 'num')) {
+                    tokens.push({ type: 'op', value: 'u+', text: '+', pos });
+                }
+                if (literal) {
+                    pushOperand({ ...literal, raw: literal.text });
+                    if (literal.type === 'num') tokens.push({ type: 'unit', value: 'h:mm', power: 1, pos });
+                    continue;
+                }
+                const start = i;
+                const value = readNumber();
+                if (Number.isNaN(value)) throw new ParserError('INVALID_NUMBER', expression.slice(start, i), pos);
+                // the literal text is kept for exact decimal arithmetic
+                const text = expression.slice(start, i);
+                pushOperand({ type: 'num', value, text, pos, raw: text });
+                continue;
+            }
+
+            if (isLetter(ch)) {
+                const name = readName();
+                const lower = name.toLowerCase();
+                if ((lower === 'mod' || (lower === 'root' && !integer)) && !expectsOperand()) {
+                    tokens.push({ type: 'op', value: lower, text: name, pos });
+                    continue;
+                }
+                if (typed && !expectsOperand()) {
+                    const target = (lower === 'in' || lower === 'to') ? readTarget(i) : null;
+                    if (target) {
+                        tokens.push({ type: 'op', value: 'in', text: name, target: target.units, pos });
+                        i = target.end;
+                        continue;
+                    }
+                    if (Object.hasOwn(UNITS, name)) {
+                        tokens.push(readUnit(name, pos));
+                        continue;
+                    }
+                }
+                // compound unit: "km/h" is one unit (km·h⁻¹) of the preceding operand, so "8 Mbit/s" stays a group
+                if (typed && Object.hasOwn(UNITS, name) && tokens.at(-2)?.type === 'unit' && ['*', '/'].includes(tokens.at(-1).value)) {
+                    const unit = readUnit(name, pos);
+                    if (tokens.pop().value === '/') unit.power = -unit.power;
+                    tokens.push(unit);
+                    continue;
+                }
+                // a function name must be followed by an opening parenthesis
+                let j = i;
+                while (expression[j] === ' ') j++;
+                if (Object.hasOwn(PARSER_FUNCTIONS, lower) && expression[j] === '(') {
+                    pushOperand({ type: 'func', value: lower, pos, raw: name });
+                    i = j;
+                    continue;
+                }
+                if (expression[j] === '(') throw new ParserError('UNKNOWN_FUNCTION', name, pos);
+                // constants and variables are resolved at evaluation time (scope may shadow constants)
+                pushOperand({ type: 'var', value: name, pos });
                 continue;
             }
 
-            if (ch === '(') { tokens.push({ type: 'lparen', value: ch }); i++; continue; }
-            if (ch === ')') { tokens.push({ type: 'rparen', value: ch }); i++; continue; }
+            if (ch === '(') { pushOperand({ type: 'lparen', value: ch, pos }); i++; continue; }
+
+            const bitwise = integer && Object.keys(INTEGER_OPERATORS).find(op => expression.startsWith(op, i));
+            if (bitwise) {
+                const value = INTEGER_OPERATORS[bitwise];
+                // '~' is a prefix operator, all others are binary
+                if (expectsOperand() !== (value === '~')) throw new ParserError('UNEXPECTED_OPERATOR', bitwise, pos);
+                tokens.push({ type: 'op', value, text: bitwise, pos });
+                i += bitwise.length;
+                continue;
+            }
+
+            if (ch === ')' || ch === '!' || (ch === '%' && percent)) {
+                if (expectsOperand()) throw new ParserError('UNEXPECTED_OPERATOR', ch, pos);
+                tokens.push({ type: ch === ')' ? 'rparen' : 'op', value: ch, pos });
+                i++;
+                continue;
+            }
+
+            if (ch === '√') {
+                if (!expectsOperand()) throw new ParserError('UNEXPECTED_OPERATOR', ch, pos);
+                tokens.push({ type: 'op', value: '√', pos });
+                i++;
+                continue;
+            }
 
             if (isOp(ch)) {
-                tokens.push({ type: 'op', value: (ch === '-' && isUnaryMinus()) ? 'u-' : ch });
+                if (expectsOperand()) {
+                    if (ch === '-') tokens.push({ type: 'op', value: 'u-', pos });
+                    else if (ch !== '+') throw new ParserError('UNEXPECTED_OPERATOR', ch, pos);
+                    // unary plus is a no-op
+                } else if (ch === '%') {
+                    tokens.push({ type: 'op', value: 'mod', text: ch, pos });
+                } else {
+                    tokens.push({ type: 'op', value: ch, pos });
+                }
                 i++;
                 continue;
             }
 
-            throw new Error('Invalid expression');
+            throw new ParserError('INVALID_CHARACTER', ch, pos);
         }
 
+        // a dangling binary operator: "12 +"
+        const last = tokens.at(-1);
+        if (last && last.type === 'op' && !POSTFIX_OPERATORS.includes(last.value)) {
+            throw new ParserError('UNEXPECTED_OPERATOR', last.text ?? (last.value === 'u-' ? '-' : last.value), last.pos);
+        }
         return tokens;
     }
 
@@ -183,15 +695,32 @@ export class Parser {
      * @private
      * @param {Array<{type:string, value:string|number}>} tokens - Input tokens.
      * @returns {Array<{type:string, value:string|number}>} - RPN token array.
-     * @throws {Error} - If parentheses are unbalanced or syntax invalid.
+     * @throws {ParserError} - If parentheses are unbalanced or syntax invalid.
      */
     #toRPN(tokens) {
         const out = [], stack = [];
-        const prec = { 'u-': 4, '*': 3, '/': 3, '%': 3, '+': 2, '-': 2 };
-        const rightAssoc = new Set(['u-']);
+        const prec = {
+            'u+': 10, '^': 9, 'root': 9, 'u-': 8, '√': 8, '~': 8, '*': 7, '/': 7, 'mod': 7, '+': 6, '-': 6,
+            '<<': 5, '>>': 5, '&': 4, 'xor': 3, '|': 2
+        };
+        const rightAssoc = new Set(['^', 'root', 'u-', '√', '~']);
 
         for (const t of tokens) {
-            if (t.type === 'num') { out.push(t); continue; }
+            // units belong to the preceding operand like postfix operators
+            if (t.type === 'num' || t.type === 'var' || t.type === 'unit' || t.type === 'date') { out.push(t); continue; }
+
+            // a conversion applies to everything on its left (within the current group)
+            if (t.type === 'op' && t.value === 'in') {
+                while (stack.length && stack.at(-1).type === 'op') out.push(stack.pop());
+                out.push(t);
+                continue;
+            }
+
+            // postfix operators bind to the preceding operand → straight to the output
+            if (t.type === 'op' && POSTFIX_OPERATORS.includes(t.value)) { out.push(t); continue; }
+
+            // prefix operators never pop anything (2^-1 must stay 2^(-1))
+            if (t.type === 'func' || (t.type === 'op' && ['u-', '√', '~'].includes(t.value))) { stack.push(t); continue; }
 
             if (t.type === 'op') {
                 const o1 = t.value;
@@ -213,17 +742,19 @@ export class Parser {
 
             if (t.type === 'rparen') {
                 while (stack.length && stack.at(-1).type !== 'lparen') out.push(stack.pop());
-                if (!stack.length) throw new Error('Invalid expression');
+                if (!stack.length) throw new ParserError('UNBALANCED_PARENTHESIS', t.value, t.pos);
                 stack.pop();
+                // "sqrt( ... )" → the function belongs to the group just closed
+                if (stack.at(-1)?.type === 'func') out.push(stack.pop());
                 continue;
             }
-            throw new Error('Invalid expression');
+            throw new ParserError('UNEXPECTED_TOKEN', String(t.value), t.pos);
         }
 
         while (stack.length) {
             const top = stack.pop();
-            // if (top.type === 'lparen') throw new Error('Invalid expression');
-            if (top.type === 'lparen') continue; // ✅ skip correctly matched '('
+            // an opening parenthesis left on the stack was never closed
+            if (top.type === 'lparen') throw new ParserError('UNBALANCED_PARENTHESIS', '(', top.pos);
             out.push(top);
         }
         return out;
@@ -231,45 +762,591 @@ export class Parser {
 
     /**
      * Evaluates a Reverse Polish Notation (RPN) token array.
+     * Percentages (`b%`) are kept as fraction b/100 and marked on the stack:
+     * `a + b%` and `a - b%` are resolved relative to `a`, all other operators use the fraction.
+     * Unit tokens turn their operand into a {@link Quantity}; adding, subtracting, taking the remainder
+     * of or converting quantities requires the same dimension. Dates only support `+` and `-` (see {@link #dateOperation}).
      * @private
      * @param {Array<{type:string, value:string|number}>} rpn - Tokens in RPN order.
-     * @returns {number} - Computed numeric result.
-     * @throws {Error} - If syntax is invalid or stack underflows.
+     * @param {Object<string, number>} [scope={}] - Variable values.
+     * @returns {number|bigint|Decimal|Quantity|Date} - Computed result (Decimal in decimal mode, BigInt in integer mode).
+     * @throws {ParserError} - If syntax is invalid, the stack underflows, a variable is unknown, units
+     *                         are incompatible or an operation is not defined for its operands.
      */
-    #evalRPN(rpn) {
-        const st = [];
+    #evalRPN(rpn, scope = {}) {
+        const st = [], percents = [];
+        const math = this.#operations();
+        const symbol = t => t.text ?? ((t.value === 'u-') ? '-' : t.value);
+        const push = (value, isPercent = false) => {
+            st.push(value);
+            percents.push(isPercent);
+        };
+        const pop = (t, count) => {
+            if (st.length < count) throw new ParserError('STACK_UNDERFLOW', symbol(t), t.pos);
+            percents.splice(-count);
+            return st.splice(-count);
+        };
+        const defined = (t, value) => {
+            if (value === null || Number.isNaN(value)) throw new ParserError('NOT_DEFINED', symbol(t), t.pos);
+            return value;
+        };
+        // unary operators, functions and units are not defined for dates
+        const operand = (t) => {
+            const [x] = pop(t, 1);
+            if (x instanceof Date) throw new ParserError('NOT_DEFINED', symbol(t), t.pos);
+            return x;
+        };
+        const compatible = (t, a, b) => {
+            if (Quantity.compatible(a, b)) return;
+            const unit = x => (x instanceof Quantity && x.unit) || 'number';
+            throw new ParserError('INCOMPATIBLE_UNITS', symbol(t), t.pos, '', `${unit(a)} ${symbol(t)} ${unit(b)}`);
+        };
+
         for (const t of rpn) {
-            if (t.type === 'num') { st.push(t.value); continue; }
+            if (t.type === 'num') { push(math.literal(t)); continue; }
+            if (t.type === 'date') { push(new Date(t.value)); continue; }
+            if (t.type === 'unit') {
+                const x = operand(t);
+                push(Quantity.from(x).mul(new Quantity(1, { [t.value]: t.power })));
+                continue;
+            }
+            if (t.type === 'var') {
+                const value = math.from(this.#resolve(t, scope));
+                if (value === null) throw new ParserError('INVALID_VARIABLE', t.value, t.pos);
+                push(value);
+                continue;
+            }
+            if (t.type === 'func') {
+                const x = operand(t);
+                push(defined(t, math.func(t.value, x)));
+                continue;
+            }
             if (t.type === 'op') {
                 if (t.value === 'u-') {
-                    if (st.length < 1) throw new Error('Invalid expression');
-                    st.push(-st.pop());
+                    const isPercent = percents.at(-1);
+                    const x = operand(t);
+                    push(math.neg(x), isPercent);
                     continue;
                 }
-                if (st.length < 2) throw new Error('Invalid expression');
-                const b = st.pop(), a = st.pop();
+                if (t.value === '√') {
+                    const x = operand(t);
+                    push(defined(t, math.func('sqrt', x)));
+                    continue;
+                }
+                if (t.value === '~') {
+                    const [x] = pop(t, 1);
+                    push(math.not(x));
+                    continue;
+                }
+                if (t.value === '!') {
+                    const x = operand(t);
+                    push(defined(t, math.factorial(x)));
+                    continue;
+                }
+                if (t.value === '%') {
+                    const x = operand(t);
+                    push(defined(t, math.percent(x)), true);
+                    continue;
+                }
+                if (t.value === 'in') {
+                    const x = operand(t);
+                    const target = new Quantity(1, t.target);
+                    compatible(t, x, target);
+                    push(Quantity.from(x).to(t.target));
+                    continue;
+                }
+                const relative = percents.at(-1);
+                const [a, b] = pop(t, 2);
+                if (a instanceof Date || b instanceof Date) {
+                    push(this.#dateOperation(t, a, b));
+                    continue;
+                }
+                if (['+', '-', 'u+', 'mod'].includes(t.value)) compatible(t, a, relative ? a : b);
+                if (['/', 'mod', 'root'].includes(t.value) && math.isZero(b)) {
+                    throw new ParserError('DIVISION_BY_ZERO', symbol(t), t.pos);
+                }
                 switch (t.value) {
-                    case '+': st.push(a + b); break;
-                    case '-': st.push(a - b); break;
-                    case '*': st.push(a * b); break;
-                    case '/': st.push(a / b); break;
-                    case '%': st.push(a % b); break;
-                    default: throw new Error('Invalid expression');
+                    case 'u+':
+                    case '+': push(math.add(a, relative ? math.mul(a, b) : b)); break;
+                    case '-': push(math.sub(a, relative ? math.mul(a, b) : b)); break;
+                    case '*': push(math.mul(a, b)); break;
+                    case '/': push(math.div(a, b)); break;
+                    case 'mod': push(math.mod(a, b)); break;
+                    case '^': push(defined(t, math.pow(a, b))); break;
+                    case 'root': push(defined(t, math.pow(a, math.div(math.from(1), b)))); break;
+                    case '&': push(math.and(a, b)); break;
+                    case '|': push(math.or(a, b)); break;
+                    case 'xor': push(math.xor(a, b)); break;
+                    case '<<': push(defined(t, math.shl(a, b))); break;
+                    case '>>': push(defined(t, math.shr(a, b))); break;
+                    default: throw new ParserError('UNEXPECTED_OPERATOR', symbol(t), t.pos);
                 }
             }
         }
-        if (st.length !== 1) throw new Error('Invalid expression');
+        if (st.length !== 1) throw new ParserError('INVALID_EXPRESSION');
         return st[0];
     }
 
+    /**
+     * Returns the set of operations #evalRPN uses for the current `arithmetic` mode.
+     * Undefined operations return NaN (number) or null (decimal, integer).
+     *
+     * In number mode, operands may be {@link Quantity} objects, which bring their own arithmetic.
+     * abs, round and sqrt keep (or halve) the unit, all other functions require a plain number.
+     *
+     * In decimal mode, quotients are computed with `max(scale, precision) + 10` fraction digits
+     * (truncated), so the final rounding to `scale` is not disturbed by intermediate rounding.
+     * Functions without an exact decimal definition (sqrt, sin, ln ...) and non-integer powers
+     * fall back to floating point.
+     *
+     * In integer mode, every result is wrapped to `wordSize` bits. Functions are only defined
+     * for integer results (sqrt(16) works, sqrt(2) does not).
+     * @private
+     * @returns {Object<string, function>}
+     */
+    #operations() {
+        if (this.arithmetic === 'number') {
+            const quantity = (method, fn) => (a, b) => {
+                return (a instanceof Quantity || b instanceof Quantity) ? (Quantity.from(a)[method](b) ?? NaN) : fn(a, b);
+            };
+            return {
+                literal:   t => t.value,
+                from:      v => (v instanceof Quantity || v instanceof Date) ? v : Number(v),
+                func:      (name, x) => {
+                    if (!(x instanceof Quantity)) return this.#callFunction(name, x);
+                    if (name === 'sqrt') return x.pow(0.5) ?? NaN;
+                    return ['abs', 'round'].includes(name) ? new Quantity(PARSER_FUNCTIONS[name](x.value), x.units) : NaN;
+                },
+                factorial: x => (x instanceof Quantity) ? NaN : this.#factorial(x),
+                percent:   x => (x instanceof Quantity) ? NaN : x / 100,
+                isZero:    x => Number(x) === 0,
+                neg:       x => (x instanceof Quantity) ? x.neg() : -x,
+                add:       quantity('add', (a, b) => a + b),
+                sub:       quantity('sub', (a, b) => a - b),
+                mul:       quantity('mul', (a, b) => a * b),
+                div:       quantity('div', (a, b) => a / b),
+                mod:       quantity('mod', (a, b) => a % b),
+                pow:       quantity('pow', (a, b) => Math.pow(a, b))
+            };
+        }
+
+        if (this.arithmetic === 'integer') {
+            const bits = this.wordSize;
+            const wrap = x => BigInt.asIntN(bits, x);
+            return {
+                literal:   t => wrap(t.value),
+                from:      v => {
+                    try { return wrap(BigInt(typeof v === 'string' ? v.trim() : v)); } catch { return null; }
+                },
+                func:      (name, x) => {
+                    if (name === 'abs') return wrap(x < 0n ? -x : x);
+                    if (name === 'round') return x;
+                    const result = this.#callFunction(name, Number(x));
+                    return Number.isSafeInteger(result) ? BigInt(result) : null;
+                },
+                factorial: x => {
+                    if (x < 0n) return null;
+                    // the product is a multiple of 2^bits soon, so the loop ends early
+                    let result = 1n;
+                    for (let n = 2n; n <= x && result !== 0n; n++) result = wrap(result * n);
+                    return result;
+                },
+                isZero:    x => x === 0n,
+                neg:       x => wrap(-x),
+                not:       x => wrap(~x),
+                add:       (a, b) => wrap(a + b),
+                sub:       (a, b) => wrap(a - b),
+                mul:       (a, b) => wrap(a * b),
+                div:       (a, b) => wrap(a / b),
+                mod:       (a, b) => a % b,
+                pow:       (a, b) => {
+                    if (b < 0n) return (a === 1n || a === -1n) ? (b % 2n === 0n ? 1n : a) : null;
+                    // square-and-multiply keeps every step within the word size
+                    let result = 1n, base = wrap(a);
+                    for (let e = b; e > 0n; e >>= 1n) {
+                        if (e & 1n) result = wrap(result * base);
+                        base = wrap(base * base);
+                    }
+                    return result;
+                },
+                and:       (a, b) => a & b,
+                or:        (a, b) => a | b,
+                xor:       (a, b) => a ^ b,
+                shl:       (a, b) => (b < 0n) ? null : (b >= bits ? 0n : wrap(a << b)),
+                shr:       (a, b) => (b < 0n) ? null : (b >= bits ? (a < 0n ? -1n : 0n) : a >> b)
+            };
+        }
+
+        const digits = Math.max(this.scale, this.precision) + 10;
+        const fromNumber = num => Number.isFinite(num) ? Decimal.from(num) : null;
+        return {
+            literal:   t => Decimal.from(t.text ?? t.value),
+            from:      v => {
+                try { return Decimal.from(v); } catch { return null; }
+            },
+            func:      (name, x) => {
+                if (name === 'abs') return x.sign < 0 ? x.neg() : x;
+                if (name === 'round') return x.round(0, 'half-up');
+                return fromNumber(this.#callFunction(name, x.toNumber()));
+            },
+            factorial: x => {
+                if (x.sign < 0 || !x.isInteger || x.compare(DECIMAL_MAX_FACTORIAL) > 0) return null;
+                let result = 1n;
+                for (let n = 2n; n <= x.coefficient / 10n ** BigInt(x.scale); n++) result *= n;
+                return new Decimal(result);
+            },
+            percent:   x => new Decimal(x.coefficient, x.scale + 2),
+            isZero:    x => x.isZero,
+            neg:       x => x.neg(),
+            add:       (a, b) => a.add(b),
+            sub:       (a, b) => a.sub(b),
+            mul:       (a, b) => a.mul(b),
+            div:       (a, b) => a.div(b, digits, 'down'),
+            mod:       (a, b) => a.mod(b),
+            pow:       (a, b) => {
+                if (b.isInteger && Math.abs(b.toNumber()) <= DECIMAL_MAX_EXPONENT) return a.pow(b.toNumber(), digits, 'down');
+                return fromNumber(Math.pow(a.toNumber(), b.toNumber()));
+            }
+        };
+    }
+
+    /**
+     * Resolves an identifier from the scope or the built-in constants.
+     * Scope entries take precedence, so a form field named "e" shadows Euler's number.
+     * @private
+     * @param {{value: string, pos: number}} token - Variable token (identifier as typed).
+     * @param {Object<string, number>} scope - Variable values.
+     * @returns {number|string|Decimal|Quantity|Date} - Value of the identifier (numeric strings are kept for decimal mode).
+     * @throws {ParserError} - If the identifier is neither a variable nor a constant.
+     */
+    #resolve(token, scope) {
+        const name = token.value;
+        if (scope && Object.hasOwn(scope, name)) {
+            const value = scope[name];
+            if (value === null || value === '' || Number.isNaN(Number(value))) {
+                throw new ParserError('INVALID_VARIABLE', name, token.pos);
+            }
+            return value;
+        }
+        const lower = name.toLowerCase();
+        if (Object.hasOwn(PARSER_CONSTANTS, lower)) return PARSER_CONSTANTS[lower];
+        if (this.arithmetic === 'number' && Object.hasOwn(DATE_KEYWORDS, lower)) return DATE_KEYWORDS[lower]();
+        throw new ParserError('UNKNOWN_VARIABLE', name, token.pos);
+    }
+
+    /**
+     * Evaluates a binary operation with at least one Date operand.
+     * - date ± duration → Date (whole days move on the calendar, so the time of day survives DST changes)
+     * - duration + date → Date
+     * - date ± n wd     → Date, n business days later/earlier (see {@link #addWorkdays})
+     * - date - date     → Quantity in days (hours if the difference is not a whole number of days)
+     * @private
+     * @param {{value: string, text?: string, pos: number}} t - Operator token.
+     * @param {Date|Quantity|number} a - Left operand.
+     * @param {Date|Quantity|number} b - Right operand.
+     * @returns {Date|Quantity}
+     * @throws {ParserError} - If the operator is not defined for dates or the operand is no duration.
+     */
+    #dateOperation(t, a, b) {
+        const op = (t.value === 'u+') ? '+' : t.value;
+        const symbol = t.text ?? t.value;
+        const type = x => (x instanceof Date) ? 'date' : ((x instanceof Quantity && x.unit) || 'number');
+        if (op !== '+' && op !== '-') throw new ParserError('NOT_DEFINED', symbol, t.pos);
+
+        if (op === '-' && a instanceof Date && b instanceof Date) {
+            // calendar distance, not affected by DST changes
+            const utc = d => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds());
+            const days = (utc(a) - utc(b)) / 86400000;
+            return Number.isInteger(days) ? new Quantity(days, { d: 1 }) : new Quantity(days * 24, { h: 1 });
+        }
+
+        const [date, duration] = (a instanceof Date) ? [a, b] : [b, a];
+        const sign = (op === '-') ? -1 : 1;
+        const incompatible = () => new ParserError('INCOMPATIBLE_UNITS', symbol, t.pos, '', `${type(a)} ${symbol} ${type(b)}`);
+        if (!(duration instanceof Quantity) || (op === '-' && b instanceof Date)) throw incompatible();
+
+        if (Quantity.compatible(duration, new Quantity(1, { wd: 1 }))) {
+            const result = this.#addWorkdays(date, sign * duration.value);
+            if (!result) throw new ParserError('NOT_DEFINED', symbol, t.pos);
+            return result;
+        }
+        if (!Quantity.compatible(duration, new Quantity(1, { s: 1 }))) throw incompatible();
+        const seconds = sign * duration.base;
+        const result = new Date(date);
+        if (seconds % 86400 === 0) result.setDate(result.getDate() + seconds / 86400);
+        else result.setTime(result.getTime() + Math.round(seconds * 1000));
+        return result;
+    }
+
+    /**
+     * Moves a date by a number of business days. Weekends and the holidays of `country`/`region`
+     * are skipped (dateutils.isWorkday), so Friday + 1 wd is the next Monday.
+     * @private
+     * @param {Date} date - Start date.
+     * @param {number} days - Business days to add (negative to go back).
+     * @returns {Date|null} - The resulting date or null if `days` is not an integer or exceeds {@link MAX_WORKDAYS}.
+     */
+    #addWorkdays(date, days) {
+        // the days are walked one by one (holidays), so huge counts like "1e20 wd" would never return
+        if (!Number.isInteger(days) || Math.abs(days) > MAX_WORKDAYS) return null;
+        const result = new Date(date);
+        for (let count = Math.abs(days); count > 0;) {
+            result.setDate(result.getDate() + Math.sign(days));
+            if (isWorkday(result, false, false, this.region, this.country)) count--;
+        }
+        return result;
+    }
+
+    /**
+     * Calls a function of {@link PARSER_FUNCTIONS} in the configured {@link angleUnit}:
+     * arguments of sin, cos and tan are converted to radians, results of asin, acos and atan back.
+     * @private
+     * @param {string} name - Function name.
+     * @param {number} x - Argument.
+     * @returns {number}
+     */
+    #callFunction(name, x) {
+        const factor = ANGLE_FACTORS[this.angleUnit];
+        if (TRIG_FUNCTIONS.includes(name)) {
+            // tan(90°) is not defined (instead of 1.6e16)
+            if (name === 'tan' && Math.abs(Math.cos(x * factor)) < Number.EPSILON) return NaN;
+            return PARSER_FUNCTIONS[name](x * factor);
+        }
+        if (INVERSE_TRIG_FUNCTIONS.includes(name)) return PARSER_FUNCTIONS[name](x) / factor;
+        return PARSER_FUNCTIONS[name](x);
+    }
+
+    /**
+     * Calculates the factorial of a non-negative integer.
+     * @private
+     * @param {number} num - Operand.
+     * @returns {number} - n! | Infinity for n > 170 | NaN for invalid operands.
+     */
+    #factorial(num) {
+        if (num < 0 || !Number.isInteger(num)) return NaN;
+        if (num > 170) return Infinity;
+        let result = 1;
+        for (let n = 2; n <= num; n++) result *= n;
+        return result;
+    }
+
     /**
      * Rounds a number according to the configured precision.
+     * Decimals are rounded to `scale` digits using `roundingMode`, integers (BigInt) and dates are returned as they are,
+     * quantities keep their unit.
      * @private
-     * @param {number} num - Number to round.
-     * @returns {number} - Rounded value.
+     * @param {number|bigint|Decimal|Quantity|Date} num - Number to round.
+     * @returns {number|bigint|Decimal|Quantity|Date} - Rounded value.
      */
     #round(num) {
+        if (typeof num === 'bigint' || num instanceof Date) return num;
+        if (num instanceof Quantity) return new Quantity(this.#round(num.value), num.units);
+        if (num instanceof Decimal) return num.round(this.scale, this.roundingMode);
         const p = Math.pow(10, this.precision);
         return Math.round(num * p) / p;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * A pre-compiled expression returned by {@link Parser#compile}.
+ * Holds the normalized source and its RPN token array, so repeated
+ * evaluations skip normalizing, tokenizing and the Shunting-Yard pass.
+ */
+export class CompiledExpression {
+    #source;
+    #rpn;
+    #evaluator;
+
+    /**
+     * @param {string} source - Normalized expression.
+     * @param {Array<{type:string, value:string|number}>} rpn - Tokens in RPN order.
+     * @param {function(Object<string, number>): (number|ParserError)} evaluator - Bound evaluation callback of the parser.
+     */
+    constructor(source, rpn, evaluator) {
+        this.#source = source;
+        this.#rpn = Object.freeze(rpn.map(t => Object.freeze({ ...t })));
+        this.#evaluator = evaluator;
+    }
+
+    /** @type {string[]} Unique names of all variables referenced by the expression (constants excluded) */
+    get variables() {
+        const names = this.#rpn
+            .filter(t => t.type === 'var' && !Object.hasOwn(PARSER_CONSTANTS, t.value.toLowerCase()) && !Object.hasOwn(DATE_KEYWORDS, t.value.toLowerCase()))
+            .map(t => t.value);
+        return [...new Set(names)];
+    }
+
+    /** @type {ReadonlyArray<{type:string, value:string|number}>} The compiled RPN token array */
+    get rpn() { return this.#rpn; }
+
+    /**
+     * Evaluates the compiled expression.
+     * @param {Object<string, number>} [scope={}] - Variable values.
+     * @returns {number|ParserError} - The evaluated numeric result or a ParserError.
+     */
+    evaluate(scope = {}) {
+        return this.#evaluator(scope);
+    }
+
+    /**
+     * Returns the normalized expression.
+     * @returns {string}
+     */
+    toString() {
+        return this.#source;
+    }
+}
+
+/**
+ * Error object returned by the {@link Parser} for every failed compilation or evaluation.
+ *
+ * @example
+ * const err = parser.parse('(2 + 3))');
+ * err.reason; // → 'UNBALANCED_PARENTHESIS'
+ * err.token;  // → ')'
+ * err.offset; // → 7
+ * parser.parse('(2 + 3').offset; // → 0 (the '(' that is never closed)
+ */
+export class ParserError extends Error {
+    /**
+     * @param {keyof PARSER_ERRORS} reason - Reason code (see {@link PARSER_ERRORS}).
+     * @param {string} [token=''] - The offending token.
+     * @param {number} [offset=-1] - Character offset of the token in the original input (-1 if unknown).
+     * @param {string} [input=''] - The original input expression.
+     * @param {string} [detail=''] - Additional information appended to the message (i.e. the incompatible units).
+     */
+    constructor(reason, token = '', offset = -1, input = '', detail = '') {
+        const message = PARSER_ERRORS[reason] ?? PARSER_ERRORS.INVALID_EXPRESSION;
+        const named = ['UNKNOWN_FUNCTION', 'UNKNOWN_VARIABLE', 'INVALID_VARIABLE'].includes(reason);
+        super(named ? `${message} "${token}"` : (detail ? `${message}: ${detail}` : message));
+        this.name = 'ParserError';
+        /** @type {string} Reason code */
+        this.reason = reason in PARSER_ERRORS ? reason : 'INVALID_EXPRESSION';
+        /** @type {string} The offending token */
+        this.token = token;
+        /** @type {number} Character offset in the original input (-1 if unknown) */
+        this.offset = offset ?? -1;
+        /** @type {string} The original input expression */
+        this.input = input;
+    }
+}
+
+// === FUNCTIONS + CONSTANTS ===
+/** @type {number[]} Register widths supported by integer arithmetic */
+const WORD_SIZES = [8, 16, 32, 64];
+
+/**
+ * Programmer mode operators (as typed → token value), longest first.
+ * '^' is XOR here, so the power operator is written '**'.
+ * @type {Object<string, string>}
+ */
+const INTEGER_OPERATORS = {
+    '**': '^',
+    '<<': '<<',
+    '>>': '>>',
+    '&': '&',
+    '|': '|',
+    '^': 'xor',
+    '~': '~'
+};
+
+/** @type {string[]} Operators applied to the preceding operand (factorial, percent, unit conversion) */
+const POSTFIX_OPERATORS = ['!', '%', 'in'];
+
+/**
+ * Characters accepted in place of a locale's group separator (users rarely type typographic spaces or apostrophes).
+ * @type {Object<string, string[]>}
+ */
+const GROUP_ALIASES = {
+    '’': ["'"],
+    '\u202F': ['\u00A0', ' '],
+    '\u00A0': ['\u202F', ' ']
+};
+
+/**
+ * Date keywords resolved at evaluation time (number arithmetic only). Scope entries take precedence.
+ * @type {Object<string, function(): Date>}
+ */
+const DATE_KEYWORDS = {
+    today: () => {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return date;
+    },
+    now: () => new Date()
+};
+
+/** @type {number} Largest n accepted by n! in decimal mode */
+const DECIMAL_MAX_FACTORIAL = 1000;
+/** @type {number} Largest absolute integer exponent evaluated exactly in decimal mode */
+const DECIMAL_MAX_EXPONENT = 1000;
+/** @type {number} Largest absolute number of business days added to a date (about 400 years) */
+const MAX_WORKDAYS = 100000;
+
+/**
+ * Reason codes and default messages of {@link ParserError}.
+ * @type {Object<string, string>}
+ */
+export const PARSER_ERRORS = {
+    INVALID_EXPRESSION:     'Invalid expression',
+    INVALID_CHARACTER:      'Invalid character',
+    INVALID_NUMBER:         'Invalid number',
+    UNEXPECTED_OPERATOR:    'Unexpected operator',
+    UNEXPECTED_TOKEN:       'Unexpected token',
+    UNBALANCED_PARENTHESIS: 'Unbalanced parenthesis',
+    UNKNOWN_FUNCTION:       'Unknown function',
+    UNKNOWN_VARIABLE:       'Unknown variable',
+    INVALID_VARIABLE:       'Variable is not a number',
+    DIVISION_BY_ZERO:       'Division by zero',
+    STACK_UNDERFLOW:        'Stack underflow',
+    NOT_DEFINED:            'Not defined',
+    INCOMPATIBLE_UNITS:     'Incompatible units',
+    INVALID_DATE:           'Invalid date or time'
+};
+
+/**
+ * Named single-argument functions known by the parser.
+ * Trigonometric functions work in radians here, the parser converts from/to its `angleUnit`.
+ * @type {Object<string, function(number): number>}
+ */
+export const PARSER_FUNCTIONS = {
+    sqrt:  x => Math.sqrt(x),
+    cbrt:  x => Math.cbrt(x),
+    sin:   x => Math.sin(x),
+    cos:   x => Math.cos(x),
+    tan:   x => Math.tan(x),
+    asin:  x => Math.asin(x),
+    acos:  x => Math.acos(x),
+    atan:  x => Math.atan(x),
+    sinh:  x => Math.sinh(x),
+    cosh:  x => Math.cosh(x),
+    tanh:  x => Math.tanh(x),
+    asinh: x => Math.asinh(x),
+    acosh: x => Math.acosh(x),
+    atanh: x => Math.atanh(x),
+    log:   x => Math.log10(x),
+    log2:  x => Math.log2(x),
+    ln:    x => Math.log(x),
+    exp:   x => Math.exp(x),
+    abs:   x => Math.abs(x),
+    round: x => Math.round(x),
+    floor: x => Math.floor(x),
+    ceil:  x => Math.ceil(x)
+};
+
+/** @type {string[]} Functions whose argument is an angle */
+const TRIG_FUNCTIONS = ['sin', 'cos', 'tan'];
+/** @type {string[]} Functions whose result is an angle */
+const INVERSE_TRIG_FUNCTIONS = ['asin', 'acos', 'atan'];
+/** @type {Object<string, number>} Angle units → radians per unit */
+const ANGLE_FACTORS = { rad: 1, deg: Math.PI / 180, grad: Math.PI / 200 };
+
+/**
+ * Named constants known by the parser.
+ * @type {Object<string, number>}
+ */
+export const PARSER_CONSTANTS = {
+    pi: Math.PI,
+    π:  Math.PI,
+    e:  Math.E
+};
@@ -0,0 +1,398 @@
+/**
+ * @file Quantity.js
+ * @module Quantity
+ * @version 1.1.0
+ * @author Jens-Olaf-Mueller
+ *
+ * Quantity — Immutable number with a unit.
+ * ===============================================================
+ *
+ * Stores a value in the unit it was entered (or converted) in, plus its unit as map of unit names and powers:
+ * `{ km: 1, h: -1 }` is km/h. Every unit knows its dimension and its factor to the SI base unit (see {@link UNITS}).
+ * - Key Features:
+ * - Dimension Tracking: length, mass, time, temperature and data size; volumes and areas are powers of length.
+ * - Conversion: {@link to} converts into any unit of the same dimension (`5 km` → `3.1068559612 mi`).
+ * - Temperature: Units with an offset (°C, °F) convert absolute values. Added or subtracted temperatures
+ *   are read as differences: `20 °C + 5 °C` → `25 °C`.
+ * - Clock Times: The unit 'h:mm' holds hours but is shown as clock time (`9.5 h:mm` → '9:30').
+ * - Workdays: The unit 'wd' counts business days; it has its own dimension and is resolved against a calendar
+ *   by the {@link Parser} (`15.03.2026 + 10 wd`).
+ * - Dimensionless Results: {@link mul} and {@link div} return a plain number if all dimensions cancel out
+ *   (`1 km / 1 m` → 1000); units of one dimension cancel out each other (`1.5 GB / 8 Mbit/s` → 1500 s).
+ * - Interop: `valueOf()` returns the numeric value, `toString()` value and unit.
+ *
+ * ---------------------------------------------------------------
+ * I. Public Methods
+ * ---------------------------------------------------------------
+ * - {@link from}       - Static: wraps a number into a dimensionless Quantity.
+ * - {@link compatible} - Static: checks whether two values have the same dimension.
+ * - {@link add}        - Addition (the result keeps the unit of the left operand).
+ * - {@link sub}        - Subtraction (the result keeps the unit of the left operand).
+ * - {@link mul}        - Multiplication (units are multiplied).
+ * - {@link div}        - Division (units are divided).
+ * - {@link mod}        - Remainder in the unit of the left operand.
+ * - {@link pow}        - Power (only if all resulting unit powers are integers).
+ * - {@link neg}        - Negation.
+ * - {@link to}         - Converts into another unit of the same dimension.
+ * - {@link toString}   - Returns value and unit, i.e. '2.25 h' (clock times as '2:15').
+ *
+ * ---------------------------------------------------------------
+ * II. Private Methods
+ * ---------------------------------------------------------------
+ * - #factor            - Factor of the unit to the SI base unit.
+ * - #offset            - Zero point offset of the unit (°C, °F).
+ * - #delta()           - Value as a difference in SI base units (offset ignored).
+ * - #combine()         - Multiplies or divides two unit maps.
+ *
+ * ---------------------------------------------------------------
+ * III. Events
+ * ---------------------------------------------------------------
+ * This class does not raise any custom events.
+ *
+ * ---------------------------------------------------------------
+ * IV. CSS Variables (Theming API)
+ * ---------------------------------------------------------------
+ * This class does not provide any CSS variables.
+ */
+export class Quantity {
+    #value;
+    #units;
+
+    /** @type {number} Value in the unit of the quantity */
+    get value() { return this.#value; }
+    /** @type {Readonly<Object<string, number>>} Unit names and their powers, i.e. `{ km: 1, h: -1 }` */
+    get units() { return this.#units; }
+    /** @type {number} Value in SI base units (temperatures in kelvin) */
+    get base() { return this.#value * this.#factor + this.#offset; }
+
+    /** @type {Object<string, number>} Dimensions and their exponents, i.e. `{ length: 1, time: -1 }` */
+    get dimension() {
+        const dimension = {};
+        for (const [name, power] of Object.entries(this.#units)) {
+            for (const [dim, exponent] of Object.entries(UNITS[name].dimension)) {
+                dimension[dim] = (dimension[dim] ?? 0) + exponent * power;
+                if (dimension[dim] === 0) delete dimension[dim];
+            }
+        }
+        return dimension;
+    }
+
+    /** @type {boolean} True if the quantity is shown as clock time (unit 'h:mm') */
+    get clock() {
+        const entries = Object.entries(this.#units);
+        return entries.length === 1 && entries[0][1] === 1 && UNITS[entries[0][0]].clock === true;
+    }
+
+    /** @type {string} Unit as text, i.e. 'km/h', 'm²' or '' for a dimensionless quantity */
+    get unit() {
+        const text = (name, power) => name + (power === 1 ? '' : (SUPERSCRIPTS[power] ?? `^${power}`));
+        const entries = Object.entries(this.#units);
+        const numerator = entries.filter(([, p]) => p > 0).map(([u, p]) => text(u, p)).join('·');
+        const denominator = entries.filter(([, p]) => p < 0).map(([u, p]) => text(u, -p)).join('·');
+        return denominator ? `${numerator || '1'}/${denominator}` : numerator;
+    }
+
+    /** @type {number} Factor of the (compound) unit to the SI base unit */
+    get #factor() {
+        return Object.entries(this.#units).reduce((factor, [name, power]) => factor * UNITS[name].factor ** power, 1);
+    }
+
+    /** @type {number} Zero point offset, only used for a single unit like °C (not for °C/h) */
+    get #offset() {
+        const entries = Object.entries(this.#units);
+        return (entries.length === 1 && entries[0][1] === 1) ? (UNITS[entries[0][0]].offset ?? 0) : 0;
+    }
+
+    /**
+     * @param {number} value - Value in the given unit.
+     * @param {Object<string, number>} [units={}] - Unit names and their powers.
+     * @throws {RangeError} - If a unit is unknown.
+     */
+    constructor(value, units = {}) {
+        const clean = {};
+        for (const [name, power] of Object.entries(units)) {
+            if (!Object.hasOwn(UNITS, name)) throw new RangeError(`Unknown unit: "${name}"`);
+            if (power) clean[name] = power;
+        }
+        this.#value = Number(value);
+        this.#units = Object.freeze(clean);
+    }
+
+    /**
+     * Wraps a number into a dimensionless Quantity (quantities are returned as they are).
+     * @param {Quantity|number} value
+     * @returns {Quantity}
+     */
+    static from(value) {
+        return (value instanceof Quantity) ? value : new Quantity(value);
+    }
+
+    /**
+     * Checks whether two values have the same dimension (plain numbers are dimensionless).
+     * @param {Quantity|number} a
+     * @param {Quantity|number} b
+     * @returns {boolean}
+     *
+     * @example
+     * Quantity.compatible(new Quantity(3, { ft: 1 }), new Quantity(20, { cm: 1 })); // → true
+     * Quantity.compatible(new Quantity(3, { ft: 1 }), 20);                          // → false
+     */
+    static compatible(a, b) {
+        const dimA = Quantity.from(a).dimension, dimB = Quantity.from(b).dimension;
+        const keys = new Set([...Object.keys(dimA), ...Object.keys(dimB)]);
+        return [...keys].every(key => dimA[key] === dimB[key]);
+    }
+
+    /**
+     * Adds a quantity of the same dimension.
+     * @param {Quantity|number} other
+     * @returns {Quantity}
+     * @throws {RangeError} - If the dimensions differ.
+     */
+    add(other) {
+        return this.#fromBase(this.base + this.#delta(other));
+    }
+
+    /**
+     * Subtracts a quantity of the same dimension.
+     * @param {Quantity|number} other
+     * @returns {Quantity}
+     * @throws {RangeError} - If the dimensions differ.
+     */
+    sub(other) {
+        return this.#fromBase(this.base - this.#delta(other));
+    }
+
+    /**
+     * Multiplies by a number or quantity.
+     * @param {Quantity|number} other
+     * @returns {Quantity|number} - A plain number if the result is dimensionless.
+     */
+    mul(other) {
+        return this.#combine(Quantity.from(other), 1);
+    }
+
+    /**
+     * Divides by a number or quantity.
+     * @param {Quantity|number} other
+     * @returns {Quantity|number} - A plain number if the result is dimensionless.
+     */
+    div(other) {
+        return this.#combine(Quantity.from(other), -1);
+    }
+
+    /**
+     * Remainder of the division by a quantity of the same dimension, in the unit of this quantity.
+     * @param {Quantity|number} other
+     * @returns {Quantity}
+     * @throws {RangeError} - If the dimensions differ.
+     */
+    mod(other) {
+        return new Quantity(this.#value % (this.#delta(other) / this.#factor), this.#units);
+    }
+
+    /**
+     * Raises the quantity to a power. The unit is raised as well.
+     * @param {Quantity|number} exponent - Dimensionless exponent.
+     * @returns {Quantity|null} - Null if the exponent has a unit or a unit power would not be an integer (sqrt of 2 m).
+     *
+     * @example
+     * new Quantity(3, { m: 1 }).pow(2).toString();   // → '9 m²'
+     * new Quantity(9, { m: 2 }).pow(0.5).toString(); // → '3 m'
+     */
+    pow(exponent) {
+        if (!Quantity.compatible(exponent, 1)) return null;
+        const n = Number(exponent instanceof Quantity ? exponent.base : exponent);
+        const units = {};
+        for (const [name, power] of Object.entries(this.#units)) {
+            units[name] = power * n;
+            if (!Number.isInteger(units[name])) return null;
+        }
+        return new Quantity(Math.pow(this.#value, n), units);
+    }
+
+    /**
+     * Returns the negated quantity.
+     * @returns {Quantity}
+     */
+    neg() {
+        return new Quantity(-this.#value, this.#units);
+    }
+
+    /**
+     * Converts into another unit of the same dimension.
+     * @param {Object<string, number>|string} units - Target unit map or a single unit name.
+     * @returns {Quantity}
+     * @throws {RangeError} - If a unit is unknown or the dimensions differ.
+     *
+     * @example
+     * new Quantity(20, { '°C': 1 }).to('°F').toString(); // → '68 °F'
+     */
+    to(units) {
+        const target = new Quantity(1, (typeof units === 'string') ? { [units]: 1 } : units);
+        if (!Quantity.compatible(this, target)) throw new RangeError(`Cannot convert ${this.unit || 'number'} to ${target.unit}`);
+        return target.#fromBase(this.base);
+    }
+
+    /** @returns {number} */
+    valueOf() {
+        return this.#value;
+    }
+
+    /**
+     * Returns value and unit separated by a space.
+     * Clock times are returned as 'h:mm' or 'h:mm:ss' (seconds only if not zero).
+     * @returns {string}
+     *
+     * @example
+     * new Quantity(12.25, { 'h:mm': 1 }).toString(); // → '12:15'
+     */
+    toString() {
+        if (this.clock) {
+            const seconds = Math.round(Math.abs(this.#value) * 3600);
+            const pad = n => String(n).padStart(2, '0');
+            const time = `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}`;
+            return (this.#value < 0 ? '-' : '') + time + (seconds % 60 ? `:${pad(seconds % 60)}` : '');
+        }
+        return `${this.#value} ${this.unit}`.trim();
+    }
+
+    /** @returns {string} */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Creates a quantity with the unit of this one from a value in SI base units.
+     * @private
+     * @param {number} base
+     * @returns {Quantity}
+     */
+    #fromBase(base) {
+        return new Quantity((base - this.#offset) / this.#factor, this.#units);
+    }
+
+    /**
+     * Returns a value of the same dimension as difference in SI base units,
+     * so `5 °C` counts as 5 K and not as 278.15 K.
+     * @private
+     * @param {Quantity|number} other
+     * @returns {number}
+     * @throws {RangeError} - If the dimensions differ.
+     */
+    #delta(other) {
+        const quantity = Quantity.from(other);
+        if (!Quantity.compatible(this, quantity)) throw new RangeError(`Incompatible units: ${this.unit || 'number'}, ${quantity.unit || 'number'}`);
+        return quantity.#value * quantity.#factor;
+    }
+
+    /**
+     * Multiplies (sign 1) or divides (sign -1) by another quantity.
+     * Units with the same name are merged, units cancelling out each other are removed,
+     * even with different names: `GB·s/Mbit` becomes `s`, the factor of GB/Mbit goes into the value.
+     * @private
+     * @param {Quantity} other
+     * @param {1|-1} sign
+     * @returns {Quantity|number}
+     */
+    #combine(other, sign) {
+        const units = { ...this.#units };
+        for (const [name, power] of Object.entries(other.#units)) units[name] = (units[name] ?? 0) + sign * power;
+        let value = (sign === 1) ? this.#value * other.#value : this.#value / other.#value;
+        // units of a single dimension whose powers add up to zero (GB and Mbit⁻¹) cancel out each other
+        const groups = {};
+        for (const [name, power] of Object.entries(units)) {
+            const dims = Object.entries(UNITS[name].dimension);
+            if (power && dims.length === 1) (groups[dims[0][0]] ??= []).push([name, power * dims[0][1]]);
+        }
+        for (const group of Object.values(groups)) {
+            if (group.length < 2 || group.reduce((sum, [, exponent]) => sum + exponent, 0) !== 0) continue;
+            for (const [name] of group) {
+                value *= UNITS[name].factor ** units[name];
+                delete units[name];
+            }
+        }
+        const result = new Quantity(value, units);
+        // "km/m" has no dimension left, but its factor still counts
+        return Object.keys(result.dimension).length ? result : result.value * result.#factor;
+    }
+}
+
+/** @type {Object<number, string>} Superscripts used for unit powers in {@link Quantity#unit} */
+const SUPERSCRIPTS = { 2: '²', 3: '³' };
+
+/**
+ * Units known by {@link Quantity} and the {@link Parser} (case-sensitive).
+ * `factor` converts to the SI base unit (m, kg, s, K) or byte for data sizes,
+ * `offset` is the zero point of the unit in kelvin, `clock` marks hours shown as clock time.
+ * The unit 'h:mm' is created by time literals like `09:30` and cannot be typed as a name.
+ * @type {Object<string, {dimension: Object<string, number>, factor: number, offset?: number, clock?: boolean}>}
+ */
+export const UNITS = {
+    // length
+    nm:   { dimension: { length: 1 }, factor: 1e-9 },
+    µm:   { dimension: { length: 1 }, factor: 1e-6 },
+    um:   { dimension: { length: 1 }, factor: 1e-6 },
+    mm:   { dimension: { length: 1 }, factor: 0.001 },
+    cm:   { dimension: { length: 1 }, factor: 0.01 },
+    dm:   { dimension: { length: 1 }, factor: 0.1 },
+    m:    { dimension: { length: 1 }, factor: 1 },
+    km:   { dimension: { length: 1 }, factor: 1000 },
+    in:   { dimension: { length: 1 }, factor: 0.0254 },
+    ft:   { dimension: { length: 1 }, factor: 0.3048 },
+    yd:   { dimension: { length: 1 }, factor: 0.9144 },
+    mi:   { dimension: { length: 1 }, factor: 1609.344 },
+    nmi:  { dimension: { length: 1 }, factor: 1852 },
+    // mass
+    mg:   { dimension: { mass: 1 }, factor: 1e-6 },
+    g:    { dimension: { mass: 1 }, factor: 0.001 },
+    kg:   { dimension: { mass: 1 }, factor: 1 },
+    t:    { dimension: { mass: 1 }, factor: 1000 },
+    oz:   { dimension: { mass: 1 }, factor: 0.028349523125 },
+    lb:   { dimension: { mass: 1 }, factor: 0.45359237 },
+    lbs:  { dimension: { mass: 1 }, factor: 0.45359237 },
+    st:   { dimension: { mass: 1 }, factor: 6.35029318 },
+    // time
+    ms:   { dimension: { time: 1 }, factor: 0.001 },
+    s:    { dimension: { time: 1 }, factor: 1 },
+    min:  { dimension: { time: 1 }, factor: 60 },
+    h:    { dimension: { time: 1 }, factor: 3600 },
+    d:    { dimension: { time: 1 }, factor: 86400 },
+    w:    { dimension: { time: 1 }, factor: 604800 },
+    'h:mm': { dimension: { time: 1 }, factor: 3600, clock: true },
+    // business days (resolved against a holiday calendar)
+    wd:   { dimension: { workday: 1 }, factor: 1 },
+    // volume
+    ml:   { dimension: { length: 3 }, factor: 1e-6 },
+    mL:   { dimension: { length: 3 }, factor: 1e-6 },
+    cl:   { dimension: { length: 3 }, factor: 1e-5 },
+    dl:   { dimension: { length: 3 }, factor: 1e-4 },
+    l:    { dimension: { length: 3 }, factor: 0.001 },
+    L:    { dimension: { length: 3 }, factor: 0.001 },
+    floz: { dimension: { length: 3 }, factor: 2.95735295625e-5 },
+    pt:   { dimension: { length: 3 }, factor: 4.73176473e-4 },
+    qt:   { dimension: { length: 3 }, factor: 9.46352946e-4 },
+    gal:  { dimension: { length: 3 }, factor: 3.785411784e-3 },
+    // speed
+    mph:  { dimension: { length: 1, time: -1 }, factor: 0.44704 },
+    // temperature
+    K:    { dimension: { temperature: 1 }, factor: 1 },
+    '°C': { dimension: { temperature: 1 }, factor: 1, offset: 273.15 },
+    degC: { dimension: { temperature: 1 }, factor: 1, offset: 273.15 },
+    '°F': { dimension: { temperature: 1 }, factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+    degF: { dimension: { temperature: 1 }, factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+    // data size
+    bit:  { dimension: { data: 1 }, factor: 0.125 },
+    kbit: { dimension: { data: 1 }, factor: 125 },
+    Mbit: { dimension: { data: 1 }, factor: 125e3 },
+    Gbit: { dimension: { data: 1 }, factor: 125e6 },
+    B:    { dimension: { data: 1 }, factor: 1 },
+    kB:   { dimension: { data: 1 }, factor: 1e3 },
+    MB:   { dimension: { data: 1 }, factor: 1e6 },
+    GB:   { dimension: { data: 1 }, factor: 1e9 },
+    TB:   { dimension: { data: 1 }, factor: 1e12 },
+    KiB:  { dimension: { data: 1 }, factor: 1024 },
+    MiB:  { dimension: { data: 1 }, factor: 1024 ** 2 },
+    GiB:  { dimension: { data: 1 }, factor: 1024 ** 3 },
+    TiB:  { dimension: { data: 1 }, factor: 1024 ** 4 }
+};
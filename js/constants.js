@@ -437,14 +437,17 @@ export const OBJ_COMPONENTS = {
                     top: '50%',
                     left: '50%',
                     transform: 'translate(-50%, -50%)',
-                    width: 'calc(min(390px, 100%) - 12px)',
+                    width: 'calc(min(var(--calc-pod-width, 390px), 100%) - 12px)',
                     display: 'grid',
-                    gridTemplateColumns: 'repeat(5, var(--calc-button-width, 3.4rem))',
+                    gridTemplateColumns: 'repeat(var(--calc-columns, 5), var(--calc-button-width, 3.4rem))',
                     justifyContent: 'center',
                     justifyItems: 'center',
                     gridGap: 'var(--calc-grid-gap, 0.9rem)',
                     background: 'linear-gradient(135deg, var(--calc-bg1), var(--calc-bg2))'
                 },
+                role: 'dialog',
+                'aria-modal': 'true',
+                'aria-label': 'Calculator',
                 root: true,
                 protected: true,
                 hidden: '',
@@ -472,6 +475,22 @@ export const OBJ_COMPONENTS = {
                                         element: 'PrevOperand',
                                         tag: 'div',
                                         class: 'flx-end'
+                                    },
+                                    {
+                                        element: 'MemoryToggle',
+                                        tag: 'button',
+                                        prefix: 'btn',
+                                        class: '',
+                                        title: 'Memory registers',
+                                        text: '⊞'
+                                    },
+                                    {
+                                        element: 'HistoryToggle',
+                                        tag: 'button',
+                                        prefix: 'btn',
+                                        class: '',
+                                        title: 'History',
+                                        text: '☰'
                                     }
                                 ]
                             },
@@ -481,10 +500,134 @@ export const OBJ_COMPONENTS = {
                                 class: 'flx-end',
                                 style: { fontSize: '36px' },
                                 text: 0
+                            },
+                            {
+                                element: 'Preview',
+                                tag: 'div',
+                                class: 'flx-end'
+                            },
+                            // ▼ screen readers: announces results and errors (visually hidden)
+                            {
+                                element: 'Announcer',
+                                tag: 'div',
+                                class: 'calc-sr-only',
+                                role: 'status',
+                                'aria-live': 'polite',
+                                'aria-atomic': 'true'
                             }
                         ]
+                    },
+                    // ▼ history tape: completed calculations (click to recall) and export buttons
+                    {
+                        element: 'History',
+                        tag: 'div',
+                        class: '',
+                        hidden: '',
+                        children: [
+                            {
+                                element: 'HistoryList',
+                                tag: 'div',
+                                class: ''
+                            },
+                            {
+                                element: 'HistoryTools',
+                                tag: 'div',
+                                class: 'flx-end',
+                                loop: {
+                                    tag: 'button',
+                                    class: 'history-tool',
+                                    splitter: '|',
+                                    text: 0,
+                                    title: 1,
+                                    dataAction: 2,
+                                    elements: ['CSV|Export as CSV|csv', 'TXT|Export as text|text', '✕|Clear history|clear']
+                                }
+                            }
+                        ]
+                    },
+                    // ▼ memory bank: one row per register (rendered by the calculator)
+                    {
+                        element: 'MemoryBank',
+                        tag: 'div',
+                        class: '',
+                        hidden: ''
+                    },
+                    // ▼ programmer layout: result in all bases (click a row to switch the input base)
+                    {
+                        element: 'Radix',
+                        tag: 'div',
+                        class: '',
+                        hidden: '',
+                        loop: {
+                            tag: 'div',
+                            class: 'radix-row',
+                            splitter: '|',
+                            dataLabel: 0,
+                            dataRadix: 1,
+                            elements: ['HEX|16', 'DEC|10', 'OCT|8', 'BIN|2']
+                        }
+                    },
+                    // ▼ programmer layout: hex digits, bitwise operators and word size
+                    {
+                        element: 'ProgrammerKeys',
+                        tag: 'div',
+                        class: '',
+                        hidden: '',
+                        loop: {
+                            tag: 'button',
+                            class: 'calc-btn',
+                            splitter: ';',      // '|' is a key caption here
+                            text: 0,
+                            classList: 1,
+                            elements: [
+                            'A;hex', 'B;hex', 'C;hex', '&;operator', '|;operator',
+                            'D;hex', 'E;hex', 'F;hex', '^;operator', '~;operator',
+                            '<<;operator', '>>;operator', 'QWORD;word-size meta']
+                        }
+                    },
+                    // ▼ scientific layout: angle unit, 2nd (inverse functions), exponent and function keys
+                    //   left of the keypad (data-key keeps the base caption, the caption changes with 2nd)
+                    {
+                        element: 'ScientificKeys',
+                        tag: 'div',
+                        class: '',
+                        hidden: '',
+                        loop: {
+                            tag: 'button',
+                            class: 'calc-btn',
+                            splitter: ';',
+                            text: 0,
+                            dataKey: 0,
+                            classList: 1,
+                            elements: [
+                            'DEG;angle-unit meta', '2nd;meta', 'EE;meta',
+                            'sin;operator', 'cos;operator', 'tan;operator',
+                            'sinh;operator', 'cosh;operator', 'tanh;operator',
+                            'ln;operator', 'log;operator', 'log₂;operator',
+                            'xʸ;operator', 'x³;operator', 'e;',
+                            '|x|;operator', '⌊x⌋;operator', 'rnd;operator']
+                        }
+                    },
+                    // ▼ financial layout: VAT rate preset, VAT, margin, interest and loan keys left of the keypad
+                    {
+                        element: 'FinancialKeys',
+                        tag: 'div',
+                        class: '',
+                        hidden: '',
+                        loop: {
+                            tag: 'button',
+                            class: 'calc-btn',
+                            splitter: ';',
+                            text: 0,
+                            dataKey: 1,
+                            classList: 2,
+                            elements: [
+                            'RATE;RATE;vat-rate meta', '+VAT;+VAT;operator', '-VAT;-VAT;operator',
+                            'VAT;VAT;operator', 'MU;MU;operator', 'MG;MG;operator',
+                            'MU%;MU%;operator', 'MG%;MG%;operator', 'Δ%;Δ%;operator',
+                            'FV;FV;meta', 'PMT;PMT;meta']
+                        }
                     }
-
                 ],
                 loop: {
                     id: null,
@@ -500,7 +643,7 @@ export const OBJ_COMPONENTS = {
                     'x²|operator', '√|operator', '±|operator', 'π|operator', '7|', '8|',
                     '9|', '÷|operator', '%|operator', '4|', '5|', '6|', '×|operator',
                     '1/x|operator', '1|', '2|', '3|', '-|operator', '=|equals meta', '0|zero',
-                    ',|', '+|operator', '↵|equals buddy meta']
+                    ',|separator', '+|operator', '↵|equals buddy meta']
                 }
             }
         ],
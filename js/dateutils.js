@@ -327,6 +327,8 @@ export function getDayOfTheYear(date) {
  * @param {Date|string} date - The date to evaluate.
  * @param {boolean} [saturdayIsWorkday=false] - Whether Saturdays are considered workdays.
  * @param {boolean} [ignoreHolidays=false] - If true, holidays are ignored (treated as workdays).
+ * @param {string} [region='global'] - Region key for the holiday check (lowercase, e.g. 'bayern', 'zürich').
+ * @param {string} [country='de-DE'] - Country for the holiday check ('de-DE' | 'de-CH' | 'de-AT').
  * @returns {boolean|undefined}
  *  - true if workday
  *  - false if not
@@ -336,8 +338,9 @@ export function getDayOfTheYear(date) {
  * isWorkday('2025-10-11'); // false (Saturday, default = not workday)
  * isWorkday('2025-10-11', true); // true  (Saturday as workday)
  * isWorkday('2025-12-25'); // false (holiday, if isHoliday() implemented)
+ * isWorkday('2025-08-01', false, false, 'global', 'de-CH'); // false (Bundesfeier)
  */
-export function isWorkday(date, saturdayIsWorkday = false, ignoreHolidays = false) {
+export function isWorkday(date, saturdayIsWorkday = false, ignoreHolidays = false, region = 'global', country = 'de-DE') {
     const d = (date instanceof Date) ? date : new Date(date);
     if (isNaN(d)) return undefined;
 
@@ -351,7 +354,7 @@ export function isWorkday(date, saturdayIsWorkday = false, ignoreHolidays = fals
 
     // If holiday logic exists and not ignored, exclude holidays
     if (!ignoreHolidays && typeof isHoliday === 'function') {
-        const holidayName = isHoliday(d);
+        const holidayName = isHoliday(d, region, country);
         if (holidayName) return false; // "" is falsy → no holiday
     }
     return true;
@@ -0,0 +1,396 @@
+/**
+ * @file icalendar.js
+ * @module icalendar
+ * @version 1.0.0
+ * @author Jens-Olaf-Mueller
+ *
+ * icalendar — Import and export of iCalendar (.ics) data (RFC 5545).
+ * ==============================================================================
+ *
+ * Pure utility functions to exchange appointments with Outlook, Google Calendar & Co.
+ * - Key Features:
+ * - Parsing: `parseICS()` reads all VEVENT components (line unfolding, text unescaping, all-day and timed dates).
+ * - Recurrences: `expandEvents()` resolves RRULEs with FREQ=DAILY|WEEKLY|MONTHLY|YEARLY,
+ *   INTERVAL, COUNT, UNTIL, BYDAY (e.g. 'MO,WE' or '-1FR'), BYMONTH, BYMONTHDAY, BYSETPOS
+ *   (e.g. 'BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', last weekday of the month) and EXDATE into single entries.
+ * - Serializing: `toICS()` writes a standards-compliant VCALENDAR (CRLF, 75 octet line folding, UID, DTSTAMP).
+ * - Entries returned by `expandEvents()` can be used directly as Calendar events (see CalendarEntry).
+ *
+ * Limitations: TZID parameters are not resolved, such times are treated as local (floating) times.
+ * Rules with other parts (BYWEEKNO, BYYEARDAY, BYHOUR ...) or FREQ values are not expanded, only their first
+ * occurrence is shown. WKST is accepted but weeks always start on Monday.
+ *
+ * ---------------------------------------------------------------
+ * I. Exported Functions
+ * ---------------------------------------------------------------
+ * - {@link parseICS}               - Parses an .ics string into a list of VEVENT objects.
+ * - {@link expandEvents}           - Resolves events and their recurrences within a date range.
+ * - {@link toICS}                  - Serializes calendar entries into an .ics string.
+ *
+ * ---------------------------------------------------------------
+ * II. Constants
+ * ---------------------------------------------------------------
+ * - {@link ICS_PRODID}             - Product identifier written into exported files.
+ *
+ * ---------------------------------------------------------------
+ * III. Events
+ * ---------------------------------------------------------------
+ * This utility module is stateless and does not raise custom events.
+ *
+ * ---------------------------------------------------------------
+ * IV. CSS Variables (Theming API)
+ * ---------------------------------------------------------------
+ * This module does not provide any CSS variables.
+ */
+
+import { parse } from './dateutils.js';
+
+/**
+ * Product identifier of exported .ics files.
+ */
+export const ICS_PRODID = '-//Jens-Olaf-Mueller//Library 2025 Calendar//DE';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTH', 'BYMONTHDAY', 'BYSETPOS', 'WKST'];
+const DAY = 86400000;
+
+/**
+ * Parses an iCalendar string and returns all VEVENT components.
+ * Folded lines are joined, TEXT values unescaped. All-day events (VALUE=DATE)
+ * get an inclusive `end` (DTEND is exclusive in iCalendar).
+ *
+ * @param {string} text - Content of an .ics file.
+ * @returns {ICSEvent[]} the parsed events (without expanded recurrences).
+ *
+ * @example
+ * parseICS('BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20251224\r\nSUMMARY:Heiligabend\r\nEND:VEVENT\r\nEND:VCALENDAR');
+ * // → [{ uid: '', title: 'Heiligabend', date: Date(2025-12-24), end: Date(2025-12-24), allDay: true, ... }]
+ */
+export function parseICS(text) {
+    if (typeof text !== 'string') return [];
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null, depth = 0;
+
+    for (const line of lines) {
+        const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+        if (!match) continue;
+        const name = match[1].toUpperCase();
+        const params = Object.fromEntries([...match[2].matchAll(/;([^=]+)=("[^"]*"|[^;]*)/g)]
+            .map(([, key, val]) => [key.toUpperCase(), val.replace(/^"|"$/g, '')]));
+        const value = match[3];
+
+        if (name === 'BEGIN') {
+            if (value.toUpperCase() === 'VEVENT' && depth === 0) {
+                event = { uid: '', title: '', description: '', location: '', date: null, end: null,
+                          allDay: false, rrule: null, exdates: [] };
+            } else if (event) depth++;  // nested components like VALARM
+            continue;
+        }
+        if (name === 'END') {
+            if (depth) depth--;
+            else if (event && value.toUpperCase() === 'VEVENT') {
+                if (event.date) events.push(finishEvent(event));
+                event = null;
+            }
+            continue;
+        }
+        if (!event || depth) continue;
+
+        switch (name) {
+            case 'UID': event.uid = value; break;
+            case 'SUMMARY': event.title = unescapeText(value); break;
+            case 'DESCRIPTION': event.description = unescapeText(value); break;
+            case 'LOCATION': event.location = unescapeText(value); break;
+            case 'COLOR': event.color = value; break;
+            case 'DTSTART':
+                event.date = parseDateValue(value, params);
+                event.allDay = isDateValue(value, params);
+                break;
+            case 'DTEND': event.dtend = parseDateValue(value, params); break;
+            case 'DURATION': event.duration = parseDuration(value); break;
+            case 'RRULE': event.rrule = value; break;
+            case 'EXDATE':
+                value.split(',').forEach(val => {
+                    const date = parseDateValue(val, params);
+                    if (date) event.exdates.push(date);
+                });
+                break;
+        }
+    }
+    return events;
+}
+
+/**
+ * Resolves the given events within a date range. Recurring events (RRULE) are expanded
+ * into one entry per occurrence, each keeping the duration of the original event.
+ *
+ * @param {ICSEvent[]} events - Events as returned by {@link parseICS}.
+ * @param {Date} start - First day of the range.
+ * @param {Date} end - Last day of the range (inclusive).
+ * @returns {Object[]} entries with `date`, `end`, `title`, `uid`, `allDay`, `description`, `location`, `color`.
+ *
+ * @example
+ * expandEvents(parseICS(ics), new Date(2025, 11, 1), new Date(2025, 11, 31));
+ */
+export function expandEvents(events, start, end) {
+    if (!Array.isArray(events) || !(start instanceof Date) || !(end instanceof Date)) return [];
+    const from = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const until = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1); // exclusive
+    const entries = [];
+
+    events.forEach((event) => {
+        if (!(event?.date instanceof Date)) return;
+        const duration = (event.end ?? event.date) - event.date;
+        const excluded = new Set((event.exdates ?? []).map(d => d.toDateString()));
+        const occurrences = event.rrule ? getOccurrences(event, until) : [event.date];
+
+        occurrences.forEach((date) => {
+            const last = new Date(date.getTime() + duration);
+            if (excluded.has(date.toDateString()) || date >= until || last < from) return;
+            const { rrule, exdates, ...entry } = event;
+            entries.push({ ...entry, date, end: last });
+        });
+    });
+    return entries;
+}
+
+/**
+ * Serializes calendar entries as an iCalendar (VCALENDAR) string.
+ * Entries are all-day events unless `allDay` is false; an `end` is inclusive for all-day events.
+ * Lines are separated by CRLF and folded after 75 octets as required by RFC 5545.
+ *
+ * @param {Object[]} entries - Entries with `date`, optional `end`, `title`, `description`, `location`,
+ *                             `uid`, `allDay`, `rrule` (raw RRULE value) and `categories`.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name (X-WR-CALNAME).
+ * @returns {string} the .ics content
+ *
+ * @example
+ * toICS([{ date: new Date(2026, 6, 6), end: new Date(2026, 6, 24), title: 'Ferien' }], { name: 'Urlaub' });
+ */
+export function toICS(entries, { name } = {}) {
+    const stamp = formatDateTime(new Date());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+        const date = parse(entry?.date);
+        if (!date) return;
+        const end = parse(entry.end) ?? date;
+        lines.push('BEGIN:VEVENT',
+            `UID:${entry.uid || `${stamp}-${index}-${Math.random().toString(36).slice(2, 10)}@library-2025`}`,
+            `DTSTAMP:${stamp}`);
+        if (entry.allDay === false) {
+            lines.push(`DTSTART:${formatDateTime(date)}`);
+            if (end > date) lines.push(`DTEND:${formatDateTime(end)}`);
+        } else {
+            const next = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(date)}`, `DTEND;VALUE=DATE:${formatDate(next)}`);
+        }
+        if (entry.rrule) lines.push(`RRULE:${entry.rrule}`);
+        lines.push(`SUMMARY:${escapeText(entry.title ?? '')}`);
+        if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+        if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+        if (entry.categories) lines.push(`CATEGORIES:${escapeText(entry.categories)}`);
+        if (entry.allDay !== false) lines.push('TRANSP:TRANSPARENT');
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * @typedef {Object} ICSEvent
+ * @property {string} uid - Unique identifier (UID).
+ * @property {string} title - SUMMARY.
+ * @property {string} description - DESCRIPTION.
+ * @property {string} location - LOCATION.
+ * @property {string} [color] - COLOR (RFC 7986).
+ * @property {Date} date - Start (DTSTART).
+ * @property {Date} end - End; inclusive last day for all-day events.
+ * @property {boolean} allDay - True for VALUE=DATE events.
+ * @property {string|null} rrule - Raw RRULE value.
+ * @property {Date[]} exdates - Excluded occurrences (EXDATE).
+ */
+
+/* ------------------------------------------------------------------
+ * module-private helpers
+ * ------------------------------------------------------------------ */
+
+/**
+ * Derives the end of an event from DTEND or DURATION.
+ * The exclusive DTEND of an all-day event becomes its inclusive last day.
+ */
+function finishEvent(event) {
+    const { dtend, duration, ...result } = event;
+    if (dtend) {
+        result.end = event.allDay ? new Date(dtend.getTime() - DAY) : dtend;
+        if (result.end < result.date) result.end = new Date(result.date);
+    } else if (duration) {
+        result.end = new Date(event.date.getTime() + duration - (event.allDay ? DAY : 0));
+    } else {
+        result.end = new Date(event.date);
+    }
+    return result;
+}
+
+/**
+ * Returns the start dates of all occurrences of a recurring event before `until`.
+ * DTSTART always counts as the first occurrence (RFC 5545, 3.8.5.3).
+ * A rule with parts or a FREQ not listed in RRULE_PARTS / RRULE_FREQUENCIES keeps its first occurrence only
+ * (with a warning), since repeating it on wrong days would be worse than not repeating it.
+ */
+function getOccurrences(event, until) {
+    const rule = Object.fromEntries(event.rrule.split(';').map(part => {
+        const [key, val = ''] = part.split('=');
+        return [key.toUpperCase(), val.toUpperCase()];
+    }));
+    const start = event.date;
+    const result = [new Date(start)];
+    const unsupported = Object.keys(rule).filter(part => !RRULE_PARTS.includes(part));
+    if (!RRULE_FREQUENCIES.includes(rule.FREQ) || unsupported.length) {
+        console.warn(`[icalendar.expandEvents]: RRULE "${event.rrule}" is not supported, only the first occurrence is used`);
+        return result;
+    }
+    const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+    const count = parseInt(rule.COUNT, 10) || Infinity;
+    const ruleEnd = rule.UNTIL ? parseDateValue(rule.UNTIL, {}) : null;
+    const limit = (ruleEnd && ruleEnd < until) ? new Date(ruleEnd.getTime() + (isDateValue(rule.UNTIL, {}) ? DAY - 1 : 0)) : until;
+    const numbers = value => (value ? value.split(',').map(n => parseInt(n, 10)).filter(Boolean) : []);
+    const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(parseByDay).filter(Boolean) : [];
+    const byMonth = numbers(rule.BYMONTH).map(m => m - 1);
+    const byMonthDay = numbers(rule.BYMONTHDAY);
+    const bySetPos = numbers(rule.BYSETPOS);
+    const at = (y, m, d) => new Date(y, m, d, start.getHours(), start.getMinutes(), start.getSeconds());
+    const onWeekday = date => !byDay.length || byDay.some(b => b.weekday === date.getDay());
+    // days of a month or year: BYMONTHDAY and BYDAY select, without both the day of DTSTART is taken
+    const pick = (days) => {
+        if (byMonthDay.length) days = days.filter(date => isMonthDay(date, byMonthDay));
+        if (byDay.length) return byMonthDay.length ? days.filter(onWeekday) : nthWeekdays(days, byDay);
+        return byMonthDay.length ? days : days.filter(date => date.getDate() === start.getDate());
+    };
+
+    for (let period = 0; period < 50000 && result.length < count; period++) {
+        let first, candidates;
+        if (rule.FREQ === 'DAILY') {
+            first = at(start.getFullYear(), start.getMonth(), start.getDate() + period * interval);
+            candidates = [first].filter(date => onWeekday(date) && (!byMonthDay.length || isMonthDay(date, byMonthDay)));
+        } else if (rule.FREQ === 'WEEKLY') {
+            const monday = start.getDate() - (start.getDay() + 6) % 7 + period * interval * 7;
+            const days = byDay.length ? byDay.map(b => b.weekday) : [start.getDay()];
+            first = at(start.getFullYear(), start.getMonth(), monday);
+            candidates = days.map(wd => at(start.getFullYear(), start.getMonth(), monday + (wd + 6) % 7));
+        } else if (rule.FREQ === 'MONTHLY') {
+            first = at(start.getFullYear(), start.getMonth() + period * interval, 1);
+            candidates = pick(daysOfMonth(first.getFullYear(), first.getMonth(), at));
+        } else {
+            const year = start.getFullYear() + period * interval;
+            const months = (byMonth.length) ? byMonth : (byDay.length || byMonthDay.length) ? [...Array(12).keys()] : [start.getMonth()];
+            first = at(year, 0, 1);
+            // without BYMONTH, BYDAY counts within the whole year ('20MO' is the 20th Monday of the year)
+            candidates = (!byMonth.length && byDay.length && !byMonthDay.length)
+                ? pick(months.flatMap(month => daysOfMonth(year, month, at)))
+                : months.flatMap(month => pick(daysOfMonth(year, month, at)));
+        }
+        if (first > limit) break;
+        if (byMonth.length) candidates = candidates.filter(date => byMonth.includes(date.getMonth()));
+        candidates.sort((a, b) => a - b);
+        if (bySetPos.length) {
+            candidates = bySetPos.map(pos => candidates.at(pos > 0 ? pos - 1 : pos)).filter(Boolean).sort((a, b) => a - b);
+        }
+        candidates = candidates.filter((date, i) => !i || date - candidates[i - 1]);
+        for (const date of candidates) {
+            if (date <= start) continue;
+            if (date > limit || result.length >= count) break;
+            result.push(date);
+        }
+    }
+    return result.filter(date => date <= limit);
+}
+
+/** Returns all days of a month. */
+function daysOfMonth(year, month, at) {
+    const length = new Date(year, month + 1, 0).getDate();
+    return Array.from({ length }, (_, i) => at(year, month, i + 1));
+}
+
+/** Picks the days matching BYDAY rules like 'MO' (every Monday) or '-1FR' (last Friday) from the days of a month or year. */
+function nthWeekdays(days, byDay) {
+    return byDay.flatMap(({ weekday, nth }) => {
+        const matches = days.filter(date => date.getDay() === weekday);
+        return !nth ? matches : [matches.at(nth > 0 ? nth - 1 : nth)].filter(Boolean);
+    });
+}
+
+/** True if the date matches one of the BYMONTHDAY values (negative ones count from the end of the month). */
+function isMonthDay(date, byMonthDay) {
+    const length = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return byMonthDay.some(n => date.getDate() === ((n > 0) ? n : length + n + 1));
+}
+
+/** Splits a BYDAY value like '2MO' or '-1SU' into { nth, weekday }. */
+function parseByDay(value) {
+    const match = value.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    return match ? { nth: parseInt(match[1], 10) || 0, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+}
+
+/** True if the value is a DATE (all-day) rather than a DATE-TIME. */
+function isDateValue(value, params) {
+    return params.VALUE === 'DATE' || /^\d{8}$/.test(value.trim());
+}
+
+/** Converts 'YYYYMMDD', 'YYYYMMDDTHHMMSS' (local/TZID) or 'YYYYMMDDTHHMMSSZ' (UTC) into a Date. */
+function parseDateValue(value, params) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, y, mo, d, h = 0, mi = 0, s = 0, utc] = match;
+    if (isDateValue(value, params)) return new Date(+y, mo - 1, +d);
+    return utc ? new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +s)) : new Date(+y, mo - 1, +d, +h, +mi, +s);
+}
+
+/** Converts a DURATION like 'P1D', 'PT1H30M' or 'P2W' into milliseconds. */
+function parseDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+    const [, sign, w = 0, d = 0, h = 0, m = 0, s = 0] = match;
+    const ms = (((+w * 7 + +d) * 24 + +h) * 60 + +m) * 60000 + +s * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/** Folds a content line after 75 octets (UTF-8), continuation lines start with a space. */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '', size = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        if (size + bytes > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}